@@ -1,20 +1,35 @@
 const jwt = require('jsonwebtoken');
 
+/**
+ * Verifies a JWT and extracts the user it was issued to.
+ * Shared by the HTTP middleware and WebSocket authentication.
+ * @param {string} token - The raw token.
+ * @returns {{userId: string, isAdmin: boolean}}
+ * @throws If the token is missing, malformed or expired.
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Support multiple token payload shapes
+  const userId = decoded.userId || decoded.id || (decoded.user && (decoded.user.id || decoded.user._id)) || decoded.user;
+  return { userId, isAdmin: !!decoded.isAdmin };
+};
+
 const auth = (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Support multiple token payload shapes
-    req.user = decoded.userId || decoded.id || (decoded.user && (decoded.user.id || decoded.user._id)) || decoded.user;
+    const { userId, isAdmin } = verifyToken(token);
+    req.user = userId;
     // expose admin flag to routes
-    req.isAdmin = !!decoded.isAdmin;
+    req.isAdmin = isAdmin;
     next();
   } catch (err) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
+auth.verifyToken = verifyToken;
+
 module.exports = auth;
@@ -14,6 +14,11 @@ const AssetSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Part of the amount reserved for open SELL conditional orders
+  lockedAmount: {
+    type: Number,
+    default: 0,
+  },
   averagePrice: {
     type: Number,
     required: false,
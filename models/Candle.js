@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// OHLCV candle built from the prices published by the price updater (or backfilled from a provider)
+const CandleSchema = new mongoose.Schema({
+  symbol: { type: String, required: true },
+  interval: { type: String, enum: ['1m', '5m', '15m', '1h', '4h', '1d'], required: true },
+  openTime: { type: Date, required: true },
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  // Quantity filled on this exchange during the candle
+  volume: { type: Number, default: 0 },
+  ticks: { type: Number, default: 0 },
+  source: { type: String, enum: ['ticks', 'provider'], default: 'ticks' },
+  // Removed by the TTL index once past the interval's retention; unset for candles kept forever
+  expireAt: { type: Date },
+});
+
+CandleSchema.index({ symbol: 1, interval: 1, openTime: 1 }, { unique: true });
+CandleSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Candle', CandleSchema);
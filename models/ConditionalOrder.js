@@ -7,19 +7,25 @@ const ConditionalOrderSchema = new mongoose.Schema(
     side: { type: String, enum: ['BUY', 'SELL'], required: true },
     type: {
       type: String,
-      enum: ['STOP_LIMIT', 'TRAILING_STOP', 'OCO'],
+      enum: ['LIMIT', 'STOP_LIMIT', 'TRAILING_STOP', 'OCO'],
       required: true,
     },
     amount: { type: Number, required: true },
+    // Quantity filled so far and the volume-weighted price it was filled at
+    filledAmount: { type: Number, default: 0 },
+    averageFillPrice: { type: Number },
     status: {
       type: String,
-      enum: ['ACTIVE', 'TRIGGERED', 'COMPLETED', 'CANCELED'],
+      enum: ['ACTIVE', 'TRIGGERED', 'PARTIALLY_FILLED', 'COMPLETED', 'CANCELED', 'EXPIRED'],
       default: 'ACTIVE',
       index: true,
     },
-    // For STOP_LIMIT and OCO (stop part)
+    // For STOP_LIMIT and OCO (stop part). Without a limitPrice the order fills at market once triggered.
     stopPrice: { type: Number },
-    // For STOP_LIMIT and OCO (limit part)
+    // Time in force: good-till-canceled, good-till-date (expireAt) or until the end of the UTC day
+    timeInForce: { type: String, enum: ['GTC', 'GTD', 'DAY'], default: 'GTC' },
+    expireAt: { type: Date, index: true },
+    // For LIMIT, STOP_LIMIT and OCO (limit part)
     limitPrice: { type: Number },
     // For TRAILING_STOP
     trailingDelta: {
@@ -28,18 +34,44 @@ const ConditionalOrderSchema = new mongoose.Schema(
     },
     // Tracks the peak/trough price for trailing stops
     trailingReferencePrice: { type: Number },
-    // For OCO orders
+    // For OCO orders: which leg this is, and the ids of both legs (set on each of them)
+    ocoLeg: { type: String, enum: ['STOP', 'LIMIT'] },
     ocoPair: {
       stopOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'ConditionalOrder' },
       limitOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'ConditionalOrder' },
     },
+    // Funds (BUY) or quantity (SELL) reserved for the unfilled part of the order
+    reservedFunds: { type: Number, default: 0 },
+    reservedQuantity: { type: Number, default: 0 },
+    // Set when the order draws on another order's reservation (e.g. linked exit legs)
+    reservationHolder: { type: mongoose.Schema.Types.ObjectId, ref: 'ConditionalOrder' },
+    // For bracket exits attached to a /buy or /sell: the fill they protect and their role
+    parentTradeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    bracketRole: { type: String, enum: ['TAKE_PROFIT', 'STOP_LOSS'] },
     // To link to the executed trade transaction
     executedTradeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    // Every in-place change made through PATCH /api/trade/orders/:id
+    amendments: [
+      {
+        _id: false,
+        amendedAt: { type: Date, default: Date.now },
+        changes: [
+          {
+            _id: false,
+            field: { type: String },
+            from: { type: mongoose.Schema.Types.Mixed },
+            to: { type: mongoose.Schema.Types.Mixed },
+          },
+        ],
+      },
+    ],
     triggeredAt: { type: Date },
     completedAt: { type: Date },
     canceledAt: { type: Date },
+    expiredAt: { type: Date },
   },
-  { timestamps: true }
+  // Version checks on save so an amendment and a trigger can never overwrite each other
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 // Compound index for efficient querying by the execution service
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Point-in-time valuation of a user's account, recorded by the equity snapshot job
+const EquitySnapshotSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  takenAt: { type: Date, default: Date.now },
+  cash: { type: Number, required: true },
+  holdingsValue: { type: Number, required: true },
+  // Margin posted plus unrealized PnL of open margin positions
+  marginValue: { type: Number, default: 0 },
+  equity: { type: Number, required: true },
+  holdings: [{
+    _id: false,
+    symbol: { type: String },
+    quantity: { type: Number },
+    price: { type: Number },
+    value: { type: Number },
+  }],
+  // Prices of every listed symbol at snapshot time, so later snapshots can price positions since closed
+  prices: { type: Map, of: Number },
+});
+
+EquitySnapshotSchema.index({ user: 1, takenAt: 1 });
+
+module.exports = mongoose.model('EquitySnapshot', EquitySnapshotSchema);
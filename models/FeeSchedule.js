@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const FeeTierSchema = new mongoose.Schema(
+  {
+    // Trailing 30-day traded notional (USD) at which this tier starts to apply
+    minVolume: { type: Number, required: true, min: 0 },
+    makerRate: { type: Number, required: true, min: 0 },
+    takerRate: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Singleton document holding the platform-wide trading fee schedule
+const FeeScheduleSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: 'default', unique: true },
+    tiers: { type: [FeeTierSchema], required: true },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('FeeSchedule', FeeScheduleSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Audit record written whenever a margin position is force-closed
+const LiquidationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  position: { type: mongoose.Schema.Types.ObjectId, ref: 'MarginPosition', required: true },
+  symbol: { type: String, required: true },
+  side: { type: String, enum: ['LONG', 'SHORT'], required: true },
+  quantity: { type: Number, required: true },
+  entryPrice: { type: Number, required: true },
+  markPrice: { type: Number, required: true },
+  leverage: { type: Number, required: true },
+  margin: { type: Number, required: true },
+  // Equity left when maintenance was breached, and what the user got back after fees
+  equity: { type: Number, required: true },
+  maintenanceRequirement: { type: Number, required: true },
+  payout: { type: Number, required: true },
+  // Loss beyond the posted margin, absorbed by the platform
+  deficit: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Liquidation', LiquidationSchema);
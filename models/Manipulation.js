@@ -1,15 +1,54 @@
 const mongoose = require('mongoose');
 
+// A scheduled price manipulation. Entries for a symbol form a queue of non-overlapping windows;
+// the price updater starts each one when it is due (SCHEDULED -> ACTIVE -> COOLING_DOWN -> COMPLETED).
 const ManipulationSchema = new mongoose.Schema({
   symbol: { type: String, required: true },
   startTime: { type: Date, required: true },
   endTime: { type: Date, required: true },
   endValue: { type: Number, required: true },
+  curve: {
+    type: String,
+    enum: ['LINEAR', 'EXPONENTIAL', 'STEP', 'EASE_IN_OUT', 'WAYPOINTS'],
+    default: 'EASE_IN_OUT',
+  },
+  steps: { type: Number }, // STEP curves
+  waypoints: {
+    type: [{ _id: false, at: { type: Number }, price: { type: Number } }], // WAYPOINTS curves
+    default: undefined,
+  },
+  status: {
+    type: String,
+    // MISSED: its whole window passed before the price updater could start it
+    enum: ['SCHEDULED', 'ACTIVE', 'COOLING_DOWN', 'COMPLETED', 'CANCELED', 'MISSED'],
+    default: 'SCHEDULED',
+  },
+  // The admin who scheduled it, from their token
   adminUserId: { type: String, required: true },
   adminUsername: { type: String, required: true },
-  originalPrice: { type: Number, required: true },
+  // The published price when the window started; set on activation
+  originalPrice: { type: Number },
+  activatedAt: { type: Date },
+  // When the price stopped following the curve, and why: the full window ran, it was
+  // canceled (before or during the window), or the window passed before it could start
+  actualEndTime: { type: Date },
+  outcome: { type: String, enum: ['FULL_WINDOW', 'CANCELED', 'MISSED'] },
+  canceledAt: { type: Date },
+  canceledByUserId: { type: String },
+  canceledByUsername: { type: String },
+  // The cool-down back to the market price, stored when it starts so charts can replay it
+  coolDownStartTime: { type: Date },
+  coolDownEndTime: { type: Date },
+  coolDownFrom: { type: Number },
+  // The market price the price updater eased the cool-down to
+  coolDownTo: { type: Number },
+  // Seeds the volatility added to the curve, so the published prices can be reproduced
+  noiseSeed: { type: Number, default: () => Math.floor(Math.random() * 2 ** 31) },
   durationMs: { type: Number, required: true },
   createdAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('Manipulation', ManipulationSchema);
\ No newline at end of file
+ManipulationSchema.index({ symbol: 1, status: 1, startTime: 1 });
+ManipulationSchema.index({ startTime: -1 });
+
+module.exports = mongoose.model('Manipulation', ManipulationSchema);
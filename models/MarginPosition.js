@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const MarginPositionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    symbol: { type: String, required: true, index: true },
+    side: { type: String, enum: ['LONG', 'SHORT'], required: true },
+    quantity: { type: Number, required: true },
+    entryPrice: { type: Number, required: true },
+    leverage: { type: Number, required: true },
+    // Collateral posted from the user's balance; the rest of the notional is borrowed
+    margin: { type: Number, required: true },
+    borrowed: { type: Number, required: true },
+    maintenanceMarginRate: { type: Number, required: true },
+    liquidationPrice: { type: Number },
+    // Refreshed on every price tick while the position is open
+    markPrice: { type: Number },
+    unrealizedPnl: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['OPEN', 'CLOSED', 'LIQUIDATED'],
+      default: 'OPEN',
+      index: true,
+    },
+    exitPrice: { type: Number },
+    realizedPnl: { type: Number },
+    closedAt: { type: Date },
+  },
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+MarginPositionSchema.index({ symbol: 1, status: 1 });
+
+module.exports = mongoose.model('MarginPosition', MarginPositionSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Per-symbol margin trading parameters, managed by admins
+const MarginSettingSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, unique: true },
+    enabled: { type: Boolean, default: true },
+    maxLeverage: { type: Number, required: true, min: 1 },
+    // Share of the position's notional that equity must stay above
+    maintenanceMarginRate: { type: Number, required: true, min: 0 },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('MarginSetting', MarginSettingSchema);
@@ -16,6 +16,9 @@ const MarketPriceSchema = new mongoose.Schema({
     startTime: { type: Date },
     endTime: { type: Date },
     coolDownEndTime: { type: Date }, // End time for the cool-down period
+    coolDownStartTime: { type: Date }, // When the cool-down began (the window's end, or when it was canceled)
+    coolDownFrom: { type: Number }, // Price the cool-down eases from back to the market price
+    coolDownTo: { type: Number }, // Market price the cool-down eases to, fixed on its first tick
     endValue: { type: Number },
     durationMs: { type: Number }, // Duration of manipulation in milliseconds
     originalPrice: { type: Number }, // Price before manipulation started
@@ -23,6 +26,12 @@ const MarketPriceSchema = new mongoose.Schema({
     isCoolingDown: { type: Boolean, default: false }, // Flag for post-manipulation cooldown
     adminUserId: { type: String },
     adminUsername: { type: String },
+    // The queued Manipulation this state was started from, and its curve
+    manipulationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Manipulation' },
+    curve: { type: String },
+    steps: { type: Number },
+    waypoints: { type: [{ _id: false, at: Number, price: Number }], default: undefined },
+    noiseSeed: { type: Number },
   },
 });
 
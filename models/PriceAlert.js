@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const PriceAlertSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    symbol: { type: String, required: true },
+    condition: {
+      type: String,
+      enum: ['ABOVE', 'BELOW', 'PERCENT_CHANGE', 'DAILY_HIGH_CROSS', 'DAILY_LOW_CROSS'],
+      required: true,
+    },
+    // Threshold for ABOVE / BELOW
+    price: { type: Number },
+    // For PERCENT_CHANGE: signed move (e.g. -5 for a 5% drop) over the trailing window
+    changePercent: { type: Number },
+    windowMs: { type: Number },
+    // Fire once, or keep firing with at least cooldownMs between notifications
+    repeat: { type: Boolean, default: false },
+    cooldownMs: { type: Number, default: 0 },
+    note: { type: String, maxlength: 200 },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'TRIGGERED', 'DISABLED'],
+      default: 'ACTIVE',
+    },
+    lastTriggeredAt: { type: Date },
+    lastTriggerPrice: { type: Number },
+    triggerCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+PriceAlertSchema.index({ symbol: 1, status: 1 });
+
+module.exports = mongoose.model('PriceAlert', PriceAlertSchema);
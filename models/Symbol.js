@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A listed instrument. TRADING symbols are priced and tradable; PAUSED symbols are still priced but
+// no orders are accepted or triggered; DELISTED symbols are neither priced nor tradable.
+const SymbolSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    baseAsset: { type: String, required: true, uppercase: true, trim: true },
+    quoteAsset: { type: String, required: true, uppercase: true, trim: true },
+    displayName: { type: String, required: true, trim: true },
+    status: { type: String, enum: ['TRADING', 'PAUSED', 'DELISTED'], default: 'TRADING' },
+    // Price the market starts at when no provider quotes the symbol
+    initialPrice: { type: Number, min: 0 },
+    // Trading rules: quantities are multiples of stepSize, prices multiples of tickSize.
+    // 0 disables a rule (maxQuantity 0 means no maximum).
+    stepSize: { type: Number, min: 0, default: 0 },
+    tickSize: { type: Number, min: 0, default: 0 },
+    minQuantity: { type: Number, min: 0, default: 0 },
+    maxQuantity: { type: Number, min: 0, default: 0 },
+    minNotional: { type: Number, min: 0, default: 0 },
+    statusReason: { type: String },
+    statusChangedBy: { type: String },
+    statusChangedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Symbol', SymbolSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One acquisition of an asset; sales relieve lots according to the user's cost-basis method
+const TaxLotSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    symbol: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    // Still held; drops as sales relieve the lot
+    remaining: { type: Number, required: true },
+    // Purchase price plus the buy fee, per unit
+    costPerUnit: { type: Number, required: true },
+    acquiredAt: { type: Date, default: Date.now },
+    trade: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  },
+  { timestamps: true }
+);
+
+TaxLotSchema.index({ user: 1, symbol: 1, remaining: 1, acquiredAt: 1 });
+
+module.exports = mongoose.model('TaxLot', TaxLotSchema);
@@ -8,9 +8,10 @@ const TransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'trade'],
+    enum: ['deposit', 'withdrawal', 'trade', 'fee', 'margin'],
     required: true,
   },
+  // Signed change to the user's cash balance
   amount: {
     type: Number,
     required: true,
@@ -19,6 +20,39 @@ const TransactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+
+  // Fill details for 'trade' (and the matching 'fee') entries
+  symbol: { type: String },
+  side: { type: String, enum: ['BUY', 'SELL'] },
+  quantity: { type: Number },
+  price: { type: Number },
+  fee: { type: Number },
+  feeRate: { type: Number },
+  liquidity: { type: String, enum: ['MAKER', 'TAKER'] },
+  // What produced the fill: a manual trade, the type of the conditional order, or a margin open/close/liquidation
+  source: {
+    type: String,
+    enum: ['MANUAL', 'LIMIT', 'STOP_LIMIT', 'TRAILING_STOP', 'OCO', 'MARGIN', 'LIQUIDATION'],
+  },
+  conditionalOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'ConditionalOrder' },
+  // On a SELL 'trade' entry: the cost of the lots it relieved and the resulting realized PnL (net of fees)
+  costBasis: { type: Number },
+  realizedPnl: { type: Number },
+  relievedLots: {
+    type: [{
+      _id: false,
+      lot: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxLot' },
+      quantity: { type: Number },
+      costPerUnit: { type: Number },
+    }],
+    default: undefined,
+  },
+  // On a 'margin' entry, the position it opened or closed
+  position: { type: mongoose.Schema.Types.ObjectId, ref: 'MarginPosition' },
+  // On a 'fee' entry, the trade it was charged for
+  trade: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
 });
 
-module.exports = mongoose.model('Transaction', TransactionSchema);
\ No newline at end of file
+TransactionSchema.index({ user: 1, type: 1, date: -1 });
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
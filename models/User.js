@@ -22,6 +22,17 @@ const UserSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  // Part of the balance reserved for open BUY conditional orders
+  lockedBalance: {
+    type: Number,
+    default: 0,
+  },
+  // How sales relieve tax lots when computing realized PnL
+  costBasisMethod: {
+    type: String,
+    enum: ['FIFO', 'LIFO', 'AVERAGE'],
+    default: 'FIFO',
+  },
   isAdmin: {
     type: Boolean,
     required: true,
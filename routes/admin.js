@@ -3,6 +3,17 @@ const router = express.Router();
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const feeSchedule = require('../services/feeSchedule');
+const marginEngine = require('../services/marginEngine');
+const privateEvents = require('../services/privateEvents');
+const MarginSetting = require('../models/MarginSetting');
+const MarginPosition = require('../models/MarginPosition');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const TradingSymbol = require('../models/Symbol');
+const symbols = require('../services/symbols');
+const reservations = require('../services/reservations');
+const tradingRules = require('../utils/tradingRules');
+const { TradeError } = require('../utils/tradeError');
 
 // @route   GET /api/admin/users/pending-verification
 // @desc    Get users pending verification
@@ -45,6 +56,7 @@ router.put('/users/:userId/verify', [auth, admin], async (req, res) => {
     }
 
     await user.save();
+    privateEvents.verificationDecided(user);
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -52,4 +64,257 @@ router.put('/users/:userId/verify', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/fees
+// @desc    Get the trading fee schedule
+// @access  Private (Admin)
+router.get('/fees', [auth, admin], async (req, res) => {
+  try {
+    const schedule = await feeSchedule.getSchedule();
+    res.json(schedule);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/admin/fees
+// @desc    Replace the trading fee schedule (maker/taker rates per 30-day volume tier)
+// @access  Private (Admin)
+router.put('/fees', [auth, admin], async (req, res) => {
+  const { tiers } = req.body;
+
+  const validationError = feeSchedule.validateTiers(tiers);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const schedule = await feeSchedule.updateSchedule(tiers, String(req.user));
+    res.json(schedule);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/admin/margin/:symbol
+// @desc    Get the margin settings for a symbol
+// @access  Private (Admin)
+router.get('/margin/:symbol', [auth, admin], async (req, res) => {
+  try {
+    const settings = await marginEngine.getSettings(req.params.symbol.toUpperCase());
+    res.json(settings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/admin/margin/:symbol
+// @desc    Set max leverage, maintenance margin rate and/or enable margin trading for a symbol
+// @access  Private (Admin)
+router.put('/margin/:symbol', [auth, admin], async (req, res) => {
+  const { enabled, maxLeverage, maintenanceMarginRate } = req.body;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ message: 'enabled must be a boolean.' });
+  }
+  if (maxLeverage !== undefined && (typeof maxLeverage !== 'number' || !(maxLeverage >= 1))) {
+    return res.status(400).json({ message: 'maxLeverage must be a number of at least 1.' });
+  }
+  if (maintenanceMarginRate !== undefined && (typeof maintenanceMarginRate !== 'number' || !(maintenanceMarginRate > 0 && maintenanceMarginRate < 1))) {
+    return res.status(400).json({ message: 'maintenanceMarginRate must be between 0 and 1.' });
+  }
+
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const current = await marginEngine.getSettings(symbol);
+    const update = {
+      enabled: enabled !== undefined ? enabled : current.enabled,
+      maxLeverage: maxLeverage !== undefined ? maxLeverage : current.maxLeverage,
+      maintenanceMarginRate: maintenanceMarginRate !== undefined ? maintenanceMarginRate : current.maintenanceMarginRate,
+      updatedBy: String(req.user),
+    };
+    // Open positions keep the maintenance rate they were opened with
+    const settings = await MarginSetting.findOneAndUpdate({ symbol }, update, { new: true, upsert: true });
+    res.json(settings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * Picks the trading rule fields present in a request body.
+ * @param {object} body - The request body.
+ * @returns {object}
+ */
+function pickRules(body) {
+  return Object.fromEntries(symbols.RULE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+}
+
+// @route   GET /api/admin/symbols
+// @desc    List all symbols, optionally filtered by ?status=TRADING|PAUSED|DELISTED
+// @access  Private (Admin)
+router.get('/symbols', [auth, admin], async (req, res) => {
+  const { status } = req.query;
+  if (status && !symbols.SYMBOL_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of ${symbols.SYMBOL_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const list = await TradingSymbol.find(status ? { status } : {}).sort({ symbol: 1 });
+    res.json(list);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/admin/symbols
+// @desc    List a new symbol: { symbol, baseAsset?, quoteAsset?, displayName?, initialPrice?, ...trading rules }
+// @access  Private (Admin)
+router.post('/symbols', [auth, admin], async (req, res) => {
+  const symbol = typeof req.body.symbol === 'string' ? req.body.symbol.replace('/', '').toUpperCase() : '';
+  if (!/^[A-Z0-9]{2,20}$/.test(symbol)) {
+    return res.status(400).json({ message: 'symbol must be 2-20 letters or digits.' });
+  }
+  // Base and quote default to the split of the symbol, e.g. BTCUSDT -> BTC / USDT
+  const parts = symbols.splitSymbol(symbol) || {};
+  const baseAsset = req.body.baseAsset || parts.baseAsset;
+  const quoteAsset = req.body.quoteAsset || parts.quoteAsset;
+  if (!baseAsset || !quoteAsset) {
+    return res.status(400).json({ message: 'baseAsset and quoteAsset are required for this symbol.' });
+  }
+  if (`${baseAsset}${quoteAsset}`.toUpperCase() !== symbol) {
+    return res.status(400).json({ message: 'symbol must be baseAsset followed by quoteAsset.' });
+  }
+  const { displayName, initialPrice } = req.body;
+  if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim())) {
+    return res.status(400).json({ message: 'displayName must be a non-empty string.' });
+  }
+  if (initialPrice !== undefined && (typeof initialPrice !== 'number' || !(initialPrice > 0))) {
+    return res.status(400).json({ message: 'initialPrice must be a positive number.' });
+  }
+  const rules = pickRules(req.body);
+  const rulesError = tradingRules.validateRules(rules);
+  if (rulesError) return res.status(400).json({ message: rulesError });
+
+  try {
+    if (await TradingSymbol.exists({ symbol })) {
+      return res.status(409).json({ message: `${symbol} is already listed; relist it if it was delisted.` });
+    }
+    const created = await TradingSymbol.create({
+      symbol,
+      baseAsset,
+      quoteAsset,
+      displayName: displayName || `${baseAsset.toUpperCase()}/${quoteAsset.toUpperCase()}`,
+      initialPrice,
+      ...rules,
+      statusChangedBy: String(req.user),
+      statusChangedAt: new Date(),
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/admin/symbols/:symbol/rules
+// @desc    Set any of stepSize, tickSize, minQuantity, maxQuantity and minNotional (0 disables a rule).
+//          Applies to new orders and amendments; open orders keep their values.
+// @access  Private (Admin)
+router.put('/symbols/:symbol/rules', [auth, admin], async (req, res) => {
+  const rules = pickRules(req.body);
+  if (Object.keys(rules).length === 0) {
+    return res.status(400).json({ message: `Provide any of ${symbols.RULE_FIELDS.join(', ')}.` });
+  }
+
+  try {
+    const listing = await TradingSymbol.findOne({ symbol: req.params.symbol.toUpperCase() });
+    if (!listing) return res.status(404).json({ message: 'Symbol not found' });
+    const rulesError = tradingRules.validateRules(rules, listing.toObject());
+    if (rulesError) return res.status(400).json({ message: rulesError });
+
+    listing.set(rules);
+    await listing.save();
+    res.json(listing);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/admin/symbols/:symbol/pause
+// @desc    Halt trading in a symbol; its price keeps updating and open orders wait
+// @access  Private (Admin)
+router.post('/symbols/:symbol/pause', [auth, admin], async (req, res) => {
+  try {
+    const updated = await symbols.setStatus(req.params.symbol.toUpperCase(), 'PAUSED', {
+      changedBy: String(req.user),
+      reason: req.body.reason,
+    });
+    res.json(updated);
+  } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/admin/symbols/:symbol/delist
+// @desc    Delist a symbol: stop its price feed and cancel its open orders. Refused while margin positions are open.
+// @access  Private (Admin)
+router.post('/symbols/:symbol/delist', [auth, admin], async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  try {
+    const openPositions = await MarginPosition.countDocuments({ symbol, status: 'OPEN' });
+    if (openPositions > 0) {
+      return res.status(409).json({ message: `${symbol} has ${openPositions} open margin position(s); close them before delisting.` });
+    }
+
+    const updated = await symbols.setStatus(symbol, 'DELISTED', { changedBy: String(req.user), reason: req.body.reason });
+
+    // New orders are already refused; release the reservations of those still open
+    const openOrders = await ConditionalOrder.find({
+      symbol,
+      status: { $in: reservations.OPEN_ORDER_STATUSES },
+    }).select('_id');
+    let canceledOrders = 0;
+    for (const order of openOrders) {
+      try {
+        await reservations.cancelOrder(order._id);
+        canceledOrders += 1;
+      } catch (err) {
+        // Filled, or canceled with its OCO sibling, in the meantime
+        if (!(err instanceof TradeError)) throw err;
+      }
+    }
+
+    res.json({ symbol: updated, canceledOrders });
+  } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/admin/symbols/:symbol/relist
+// @desc    Resume trading in a paused or delisted symbol
+// @access  Private (Admin)
+router.post('/symbols/:symbol/relist', [auth, admin], async (req, res) => {
+  try {
+    const updated = await symbols.setStatus(req.params.symbol.toUpperCase(), 'TRADING', {
+      changedBy: String(req.user),
+      reason: req.body.reason,
+    });
+    res.json(updated);
+  } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 module.exports = router;
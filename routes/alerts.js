@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const PriceAlert = require('../models/PriceAlert');
+const symbols = require('../services/symbols');
+const { validateAlert } = require('../utils/alertValidation');
+
+const MAX_ACTIVE_ALERTS = parseInt(process.env.MAX_ACTIVE_ALERTS_PER_USER || '50', 10);
+const EDITABLE_FIELDS = ['price', 'changePercent', 'windowMs', 'repeat', 'cooldownMs', 'note'];
+
+/**
+ * Rejects a new or re-armed alert when the user is already at the active-alert limit.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<string|null>} An error message, or null if another alert is allowed.
+ */
+async function checkAlertLimit(userId) {
+    const active = await PriceAlert.countDocuments({ user: userId, status: 'ACTIVE' });
+    return active >= MAX_ACTIVE_ALERTS ? `You can have at most ${MAX_ACTIVE_ALERTS} active alerts.` : null;
+}
+
+// List the user's alerts, optionally filtered by ?status=ACTIVE|TRIGGERED|DISABLED and ?symbol
+router.get('/', auth, async (req, res) => {
+    const filter = { user: req.user };
+    if (req.query.status) {
+        const statuses = PriceAlert.schema.path('status').enumValues;
+        if (!statuses.includes(req.query.status)) {
+            return res.status(400).json({ message: `status must be one of ${statuses.join(', ')}.` });
+        }
+        filter.status = req.query.status;
+    }
+    if (req.query.symbol) filter.symbol = req.query.symbol.toUpperCase();
+
+    try {
+        const alerts = await PriceAlert.find(filter).sort({ createdAt: -1 });
+        res.json(alerts);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching alerts.' });
+    }
+});
+
+// Get a single alert
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const alert = await PriceAlert.findOne({ _id: req.params.id, user: req.user });
+        if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+        res.json(alert);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching alert.' });
+    }
+});
+
+// Create an alert
+// Body: { symbol, condition, price?, changePercent?, windowMs?, repeat?, cooldownMs?, note? }
+router.post('/', auth, async (req, res) => {
+    const fields = { symbol: req.body.symbol, condition: req.body.condition };
+    for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+    const invalid = validateAlert(fields);
+    if (invalid) return res.status(400).json({ message: invalid });
+    fields.symbol = fields.symbol.toUpperCase();
+
+    try {
+        if (!(await symbols.findListed(fields.symbol))) return res.status(404).json({ message: 'Symbol not found' });
+        const limitError = await checkAlertLimit(req.user);
+        if (limitError) return res.status(409).json({ message: limitError });
+
+        const alert = await PriceAlert.create({ ...fields, user: req.user });
+        res.status(201).json({ message: 'Alert created successfully.', alert });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error creating alert.' });
+    }
+});
+
+// Update an alert's parameters, or disable / re-arm it with { status: 'DISABLED' | 'ACTIVE' }
+router.patch('/:id', auth, async (req, res) => {
+    const { status } = req.body;
+    if (status !== undefined && !['ACTIVE', 'DISABLED'].includes(status)) {
+        return res.status(400).json({ message: 'status must be ACTIVE or DISABLED.' });
+    }
+
+    try {
+        const alert = await PriceAlert.findOne({ _id: req.params.id, user: req.user });
+        if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) alert[field] = req.body[field];
+        }
+        const invalid = validateAlert(alert.toObject());
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        if (status === 'ACTIVE' && alert.status !== 'ACTIVE') {
+            const limitError = await checkAlertLimit(req.user);
+            if (limitError) return res.status(409).json({ message: limitError });
+        }
+        if (status !== undefined) alert.status = status;
+
+        await alert.save();
+        res.json({ message: 'Alert updated successfully.', alert });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error updating alert.' });
+    }
+});
+
+// Delete an alert
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const alert = await PriceAlert.findOneAndDelete({ _id: req.params.id, user: req.user });
+        if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+        res.json({ message: 'Alert deleted successfully.' });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error deleting alert.' });
+    }
+});
+
+module.exports = router;
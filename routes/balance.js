@@ -1,7 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
+const { availableBalanceExpr } = require('../services/reservations');
+const transactionHistory = require('../services/transactionHistory');
+const privateEvents = require('../services/privateEvents');
+const { csvRow } = require('../utils/csv');
 
 const router = express.Router();
 
@@ -10,7 +15,9 @@ router.get('/', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user);
     if (!user) return res.status(404).json({ message: 'User not found' });
-    res.json({ balance: user.balance, currency: 'USD', availableBalance: user.balance, lockedBalance: 0 });
+    // Locked funds are reserved for open BUY conditional orders
+    const lockedBalance = user.lockedBalance || 0;
+    res.json({ balance: user.balance, currency: 'USD', availableBalance: user.balance - lockedBalance, lockedBalance });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -22,18 +29,25 @@ router.post('/deposit', auth, async (req, res) => {
   if (typeof amount !== 'number' || amount <= 0) {
     return res.status(400).json({ message: 'Invalid amount (must be > 0)' });
   }
+  const session = await mongoose.startSession();
   try {
-    const user = await User.findById(req.user);
+    // An atomic $inc, so a fill or reservation changing the balance meanwhile is not overwritten
+    let user;
+    let transaction;
+    await session.withTransaction(async () => {
+      user = await User.findOneAndUpdate({ _id: req.user }, { $inc: { balance: amount } }, { new: true, session });
+      if (!user) return;
+      transaction = new Transaction({ user: req.user, type: 'deposit', amount });
+      await transaction.save({ session });
+    });
     if (!user) return res.status(404).json({ message: 'User not found' });
-    user.balance += amount;
-    await user.save();
-
-    const transaction = new Transaction({ user: req.user, type: 'deposit', amount });
-    await transaction.save();
+    privateEvents.balanceChanged(user, 'deposit');
 
     res.status(201).json({ success: true, newBalance: user.balance, transactionId: transaction._id, timestamp: transaction.date });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
+  } finally {
+    session.endSession();
   }
 });
 
@@ -44,16 +58,21 @@ router.post('/withdraw', auth, async (req, res) => {
     return res.status(400).json({ message: 'Invalid amount (must be > 0)' });
   }
   try {
-    const user = await User.findById(req.user);
-    if (!user) return res.status(404).json({ message: 'User not found' });
-    if (user.balance < amount) {
+    // Only the available (unlocked) part of the balance can be withdrawn
+    const user = await User.findOneAndUpdate(
+      { _id: req.user, $expr: { $gte: [availableBalanceExpr, amount] } },
+      { $inc: { balance: -amount } },
+      { new: true }
+    );
+    if (!user) {
+      const exists = await User.exists({ _id: req.user });
+      if (!exists) return res.status(404).json({ message: 'User not found' });
       return res.status(422).json({ message: 'Insufficient balance' });
     }
-    user.balance -= amount;
-    await user.save();
 
     const transaction = new Transaction({ user: req.user, type: 'withdrawal', amount: -amount });
     await transaction.save();
+    privateEvents.balanceChanged(user, 'withdrawal');
 
     res.status(201).json({ success: true, newBalance: user.balance, transactionId: transaction._id, timestamp: transaction.date });
   } catch (err) {
@@ -61,4 +80,92 @@ router.post('/withdraw', auth, async (req, res) => {
   }
 });
 
+const EXPORT_COLUMNS = ['date', 'id', 'type', 'symbol', 'side', 'quantity', 'price', 'fee', 'source', 'amount', 'balanceAfter'];
+
+/**
+ * Parses the shared filters of the transaction list and export.
+ * @param {object} query - The request query: type (comma-separated), from, to.
+ * @returns {{error: string}|{types: (Array<string>|undefined), from: (Date|undefined), to: (Date|undefined)}}
+ */
+function parseLedgerFilters({ type, from, to }) {
+  const types = type ? String(type).split(',') : undefined;
+  const validTypes = Transaction.schema.path('type').enumValues;
+  if (types && types.some((t) => !validTypes.includes(t))) {
+    return { error: `type must be one or more of ${validTypes.join(', ')}.` };
+  }
+  const dates = { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+  if (Object.values(dates).some((d) => d && isNaN(d.getTime()))) return { error: 'Invalid date format' };
+  return { types, ...dates };
+}
+
+// List the user's transactions, newest first, with the balance after each one
+// Query: type (comma-separated), from, to, limit (max 200), cursor (nextCursor of the previous page)
+router.get('/transactions', auth, async (req, res) => {
+  const filters = parseLedgerFilters(req.query);
+  if (filters.error) return res.status(400).json({ message: filters.error });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  let after;
+  if (req.query.cursor) {
+    after = transactionHistory.decodeCursor(req.query.cursor);
+    if (!after) return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  try {
+    const user = await User.findById(req.user).select('balance');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // Fetch one extra row to know whether another page follows
+    const rows = await transactionHistory.ledger({ userId: req.user, currentBalance: user.balance, ...filters, after, limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const transactions = rows.slice(0, limit);
+    res.json({
+      transactions,
+      nextCursor: hasMore ? transactionHistory.encodeCursor(transactions[transactions.length - 1]) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export the user's transactions for reconciliation
+// Query: format (csv|json, default csv), type (comma-separated), from, to
+router.get('/transactions/export', auth, async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!['csv', 'json'].includes(format)) return res.status(400).json({ message: 'format must be csv or json.' });
+  const filters = parseLedgerFilters(req.query);
+  if (filters.error) return res.status(400).json({ message: filters.error });
+
+  try {
+    const user = await User.findById(req.user).select('balance');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const cursor = transactionHistory.ledger({ userId: req.user, currentBalance: user.balance, ...filters }).cursor();
+    const filename = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Rows are streamed so large histories are never held in memory
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.write(csvRow(EXPORT_COLUMNS));
+      for await (const row of cursor) {
+        res.write(csvRow([row.date, row._id, row.type, row.symbol, row.side, row.quantity, row.price, row.fee, row.source, row.amount, row.balanceAfter]));
+      }
+    } else {
+      res.type('application/json');
+      res.write('[');
+      let first = true;
+      for await (const row of cursor) {
+        res.write(`${first ? '' : ','}${JSON.stringify(row)}`);
+        first = false;
+      }
+      res.write(']');
+    }
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,11 @@
 const express = require('express');
-const axios = require('axios');
 // Assuming the Manipulation model is located at the specified path
 const Manipulation = require('../models/Manipulation');
 const router = express.Router();
-const { calculateManipulatedPrice } = require('../utils/priceManipulation');
-
-// Environment variables
-const LCW_API_KEY = process.env.LCW_API_KEY;
-const LCW_HISTORY_URL = 'https://api.livecoinwatch.com/coins/history';
+const { manipulatedPriceAt, coolDownOf } = require('../utils/priceManipulation');
+const marketData = require('../services/marketData');
+const candleStore = require('../services/candleStore');
+const { KLINE_INTERVALS } = require('../utils/candles');
 
 // Helper to convert interval string (e.g., '1h', '1d') to total milliseconds
 const intervalToMs = (interval) => {
@@ -22,95 +20,127 @@ const intervalToMs = (interval) => {
   return value * (multipliers[unit] || 0);
 };
 
-// --- Data Fetching Functions ---
+// Most ticks replayed per request, shared between its candles; longer spans are replayed every few ticks
+const MAX_REPLAY_TICKS = 200000;
 
 /**
- * Fetches kline data from LiveCoinWatch.
+ * Replays the historical manipulations overlapping a provider candle, tick by tick, the way the
+ * price updater published them: the seeded curve during each window, then its stored cool-down.
+ * Ticks are taken to fall every PRICE_UPDATE_INTERVAL_MS from the tick each manipulation was
+ * started on, which skipped or late ticks break; stored candles are served first for that reason,
+ * and this only fills periods they no longer cover. Parts of the candle no manipulation covered
+ * keep the provider's prices.
+ * @param {object} candle - { time, open, high, low, close, volume } with time in milliseconds.
+ * @param {number} intervalMs - The candle length.
+ * @param {Array} manipulations - Manipulation records, sorted by startTime.
+ * @param {number} now - The current time; a candle in progress is replayed up to it.
+ * @param {number} [maxTicks] - Most ticks to replay for the candle.
+ * @returns {object} The candle, with open/high/low/close of the replayed ticks.
  */
-async function fetchFromLCW(symbol, interval, startTime, endTime) {
-  const intervalToSeconds = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600, '4h': 14400, '1d': 86400 };
-  if (!LCW_API_KEY || !intervalToSeconds[interval]) {
-    return null;
-  }
-
-  try {
-    const code = symbol.replace(/USDT$|USD$/i, '');
-    const body = {
-      currency: 'USD',
-      code,
-      start: Math.floor(startTime / 1000),
-      end: Math.floor(endTime / 1000),
-      meta: true,
-    };
-
-    console.log(`[CHARTS] Attempting to fetch from LiveCoinWatch for ${symbol}`);
-    const response = await axios.post(LCW_HISTORY_URL, body, {
-      headers: { 'x-api-key': LCW_API_KEY, 'Content-Type': 'application/json' },
-      timeout: parseInt(process.env.PRICE_FETCH_TIMEOUT_MS || '5000', 10),
-    });
-
-    let payload = response.data?.history || response.data?.data || response.data;
-    if (!payload || !Array.isArray(payload) || payload.length === 0) {
-      console.log(`[CHARTS] LiveCoinWatch returned no data for ${symbol}.`);
-      return [];
+function replayCandle(candle, intervalMs, manipulations, now, maxTicks = MAX_REPLAY_TICKS) {
+  const candleEnd = Math.min(candle.time + intervalMs, now);
+  const spans = manipulations
+    .map((manip) => ({ manip, ...manipulationSpan(manip) }))
+    .filter((span) => span.start < candleEnd && span.end > candle.time);
+  if (spans.length === 0) return candle;
+
+  const tickMs = parseInt(process.env.PRICE_UPDATE_INTERVAL_MS || '1000', 10);
+  // Only cool-downs recorded before their target was stored ease to the provider's price, taken to move linearly
+  const marketAt = (time) => candle.open + ((candle.close - candle.open) * (time - candle.time)) / intervalMs;
+
+  let first = null;
+  let last = null;
+  let high = -Infinity;
+  let low = Infinity;
+  for (const span of spans) {
+    // Ticks firstTick..lastTick since the span started, every stride-th one plus the last
+    const firstTick = Math.ceil((Math.max(span.start, candle.time) - span.start) / tickMs);
+    const lastTick = Math.ceil((Math.min(span.end, candleEnd) - span.start) / tickMs) - 1;
+    const stride = Math.max(1, Math.ceil((lastTick - firstTick + 1) / Math.max(1, Math.floor(maxTicks / spans.length))));
+    for (let n = firstTick; n <= lastTick; n = n < lastTick ? Math.min(n + stride, lastTick) : n + 1) {
+      const time = span.start + n * tickMs;
+      const price = manipulatedPriceAt(span.manip, time, marketAt(time));
+      if (price === null) continue;
+      const rounded = Number(price.toFixed(8));
+      if (!first) first = { time, price: rounded };
+      last = { time, price: rounded };
+      high = Math.max(high, rounded);
+      low = Math.min(low, rounded);
     }
-
-    // Normalize LCW response to Binance kline format: [time, open, high, low, close, volume]
-    const klines = payload.map((item) => {
-      if (Array.isArray(item)) {
-        // Array format: [timestamp, open, high, low, close, volume]
-        const ts = Number(item[0]) < 1e12 ? Number(item[0]) * 1000 : Number(item[0]);
-        return [ts, item[1].toString(), item[2].toString(), item[3].toString(), item[4].toString(), (item[5] || '0').toString()];
-      } else if (typeof item === 'object') {
-        // Object format
-        const tsRaw = item.date || item.time || item.t || item.timestamp;
-        let ts = Number(tsRaw || 0);
-        if (ts && ts < 1e12) ts *= 1000;
-        return [
-          ts,
-          (item.open || item.o || 0).toString(),
-          (item.high || item.h || 0).toString(),
-          (item.low || item.l || 0).toString(),
-          (item.close || item.c || 0).toString(),
-          (item.volume || item.v || 0).toString(),
-        ];
-      }
-      return null;
-    }).filter(Boolean);
-
-    console.log(`[CHARTS] Fetched ${klines.length} candles from LiveCoinWatch.`);
-    return klines;
-  } catch (err) {
-    console.error('[CHARTS] LiveCoinWatch request failed:', err?.message || err);
-    return null; // Return null on failure to trigger fallback
   }
+  if (!first) return candle;
+
+  // Where the real market set the price, its open, close and extremes still count
+  const covered = (time) => spans.some((span) => time >= span.start && time < span.end);
+  const unmanipulated = !covered(candle.time) || !covered(candleEnd - 1)
+    || spans.some((span, i) => i > 0 && span.start > spans[i - 1].end);
+  return {
+    ...candle,
+    open: covered(candle.time) ? first.price : candle.open,
+    close: covered(candleEnd - 1) ? last.price : candle.close,
+    high: unmanipulated ? Math.max(high, candle.high) : high,
+    low: unmanipulated ? Math.min(low, candle.low) : low,
+  };
 }
 
 /**
- * Fetches kline data from Binance.
+ * When a manipulation record set the price: from the tick that started it to the end of its cool-down.
+ * @param {object} manip - The manipulation record.
+ * @returns {{start: number, end: number}} Times in milliseconds.
  */
-async function fetchFromBinance(symbol, interval, limit, startTime) {
-  try {
-    console.log(`[CHARTS] Fetching from Binance API for ${symbol}`);
-    const response = await axios.get('https://api.binance.com/api/v3/klines', {
-      params: { symbol, interval, limit, startTime },
-      timeout: parseInt(process.env.PRICE_FETCH_TIMEOUT_MS || '5000', 10),
-    });
+function manipulationSpan(manip) {
+  const coolDown = coolDownOf(manip);
+  const stoppedAt = manip.actualEndTime ? new Date(manip.actualEndTime).getTime() : new Date(manip.endTime).getTime();
+  const start = new Date(manip.activatedAt || manip.startTime).getTime();
+  return { start, end: coolDown ? Math.max(coolDown.endTime, stoppedAt) : stoppedAt };
+}
 
-    if (response.data && response.data.length > 0) {
-      console.log(`[CHARTS] Fetched ${response.data.length} candles from Binance.`);
-      return response.data;
-    } else {
-      console.log(`[CHARTS] Binance API returned no data for ${symbol}`);
-      return [];
-    }
+/**
+ * Fetches candles from the configured kline providers (KLINE_PROVIDERS) with historical
+ * manipulation applied.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - The kline interval.
+ * @param {object} range - { startTime, endTime, limit }.
+ * @returns {Promise<Array>} Candles as { time, open, high, low, close, volume }, time in milliseconds.
+ */
+async function fetchProviderCandles(symbol, interval, { startTime, endTime, limit }) {
+  let manipulations = [];
+  try {
+    // Fetch historical manipulations that overlap with the requested time range
+    manipulations = (await Manipulation.find({
+      symbol,
+      startTime: { $lt: new Date(endTime) },
+      // Only manipulations that actually started have a start price
+      originalPrice: { $ne: null },
+      $or: [{ coolDownEndTime: { $gt: new Date(startTime) } }, { coolDownEndTime: null }],
+    }).lean()).filter((manip) => manipulationSpan(manip).end > startTime);
+    // Sort manipulations by startTime for deterministic processing
+    manipulations.sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime());
+    console.log(`[CHARTS] Found ${manipulations.length} historical manipulations for ${symbol}.`);
   } catch (err) {
-    console.error('[CHARTS] Binance API request failed:', err?.message || err);
-    return null; // Return null on failure
+    console.error('[CHARTS] Error fetching historical manipulations:', err?.message || err);
+    // Continue without manipulations if the DB query fails
   }
+
+  // Providers are tried in order; one that fails (or is not configured) falls through to the next
+  const result = await marketData.fetchKlines(symbol, interval, { startTime, endTime, limit });
+  const data = (result && result.klines) || [];
+
+  // kline format: [openTime, open, high, low, close, volume, ...]
+  const intervalMs = intervalToMs(interval);
+  const now = Date.now();
+  const maxTicks = Math.floor(MAX_REPLAY_TICKS / Math.max(1, data.length));
+  return data.map((kline) => replayCandle({
+    time: Number(kline[0]),
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]) || 0,
+  }, intervalMs, manipulations, now, maxTicks));
 }
 
-// Fetch klines (candlestick) data from Binance or LiveCoinWatch
+// Fetch klines (candlestick) data: candles built from published prices first, gaps backfilled from providers
 router.get('/klines', async (req, res) => {
   const { symbol, interval, limit } = req.query;
   // Normalize symbol (accept both BTCUSDT and BTC/USDT from clients)
@@ -128,133 +158,88 @@ router.get('/klines', async (req, res) => {
     return res.status(400).json({ message: 'Invalid interval' });
   }
 
-  // Calculate the time range for fetching both klines and historical manipulations
+  // The chart covers the last `limit` candles, up to and including the one in progress
   const now = Date.now();
-  const limitNum = limit ? parseInt(limit, 10) : 100;
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
   const intervalMs = intervalToMs(interval);
-  // Calculate the start time of the first candle we expect to fetch
-  const startTimeForKlines = now - limitNum * intervalMs;
-
-  let manipulations = [];
-  try {
-    // Fetch historical manipulations that overlap with the chart's time range
-    manipulations = await Manipulation.find({
-      symbol: normalizedSymbol,
-      startTime: { $lt: new Date(now) },
-      endTime: { $gt: new Date(startTimeForKlines) },
-    }).lean();
-    // Sort manipulations by startTime for deterministic processing
-    manipulations.sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime());
-    console.log(`[CHARTS] Found ${manipulations.length} historical manipulations for ${normalizedSymbol}.`);
-  } catch (err) {
-    console.error('[CHARTS] Error fetching historical manipulations:', err?.message || err);
-    // Continue without manipulations if the DB query fails
-  }
+  const lastOpen = Math.floor(now / intervalMs) * intervalMs;
+  const firstOpen = lastOpen - (limitNum - 1) * intervalMs;
+  // Weekly candles are not stored; they are built from the stored daily candles
+  const stored = Boolean(KLINE_INTERVALS[interval]);
 
   try {
-    // Strategy: Try LCW first, if it fails (returns null) or is not configured, fall back to Binance.
-    let data = await fetchFromLCW(normalizedSymbol, interval, startTimeForKlines, now);
-
-    if (data === null) {
-      // A null response indicates a failure, so we fall back. An empty array is a valid response.
-      data = await fetchFromBinance(normalizedSymbol, interval, limitNum, startTimeForKlines);
+    const candles = new Map();
+    if (stored) {
+      const storedCandles = await candleStore.getCandles(normalizedSymbol, interval, firstOpen, lastOpen);
+      for (const c of storedCandles) {
+        const time = new Date(c.openTime).getTime();
+        candles.set(time, { time, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume || 0 });
+      }
     }
-
-
-    if (!data || data.length === 0) {
-      return res.status(503).json({ message: 'Could not fetch chart data from external providers.', data: [] });
+    // Periods without candles of their own are built from shorter stored candles before asking the providers
+    if (candles.size < limitNum) {
+      const composed = await candleStore.composeCandles(normalizedSymbol, intervalMs, firstOpen, lastOpen);
+      for (const c of composed) {
+        if (!candles.has(c.openTime)) candles.set(c.openTime, { time: c.openTime, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume });
+      }
     }
+    const fromStore = candles.size;
 
-    let manipulatedData = data;
-
-    // Apply per-candle historical manipulation if found
-    if (manipulations.length > 0) {
-      manipulatedData = data.map((kline) => {
-        // kline format: [openTime, open, high, low, close, volume, ...]
-        const candleTimestamp = Number(kline[0]);
-        let candle = {
-          time: candleTimestamp, // MS
-          open: parseFloat(kline[1]),
-          high: parseFloat(kline[2]),
-          low: parseFloat(kline[3]),
-          close: parseFloat(kline[4]),
-          volume: parseFloat(kline[5]),
-        };
-
-        // Check if this candle is inside any manipulation period
-        for (const manip of manipulations) {
-          const manipStartTime = new Date(manip.startTime).getTime();
-          const manipEndTime = new Date(manip.endTime).getTime();
-
-          // A candle is 'inside' if its open time is within the manipulation duration
-          if (
-            candleTimestamp >= manipStartTime &&
-            candleTimestamp < manipEndTime
-          ) {
-            const manipDuration = manipEndTime - manipStartTime;
-            const timeIntoManip = candleTimestamp - manipStartTime;
-
-            // Calculate progress (clamped between 0 and 1)
-            // Use the same logic as the real-time price updater for consistency.
-            const manipulatedPrice = calculateManipulatedPrice(
-              {
-                startPrice: manip.originalPrice,
-                endValue: manip.endValue,
-                durationMs: manipDuration,
-              },
-              timeIntoManip
-            );
-
-            // Adjust OHLC values. Close is the interpolated price. High/Low must encompass it.
-            // The open price of the candle remains the real market open.
-            candle.close = manipulatedPrice;
-            candle.high = Math.max(candle.high, candle.open, manipulatedPrice);
-            candle.low = Math.min(candle.low, manipulatedPrice);
-
-            // Since manipulations are sorted, we can stop at the last applicable one
-            // if we assume non-overlapping or that the last one applied should win.
-            // Keeping the loop ensures all overlapping are processed if needed, but often
-            // one manip per time interval is expected.
-          }
-        }
+    const missing = [];
+    for (let time = firstOpen; time <= lastOpen; time += intervalMs) {
+      if (!candles.has(time)) missing.push(time);
+    }
 
-        // Return the modified kline format: [timestamp, open, high, low, close, volume]
-        return [
-          candle.time.toString(),
-          candle.open.toString(),
-          candle.high.toString(),
-          candle.low.toString(),
-          candle.close.toString(),
-          candle.volume.toString(),
-        ];
+    let fromProviders = 0;
+    if (missing.length > 0) {
+      const startTime = missing[0];
+      const providerCandles = await fetchProviderCandles(normalizedSymbol, interval, {
+        startTime,
+        endTime: now,
+        limit: (missing[missing.length - 1] - startTime) / intervalMs + 1,
       });
-      console.log(`[CHARTS] Applied historical manipulation to ${manipulatedData.length} candles.`);
+      const backfill = [];
+      for (const candle of providerCandles) {
+        if (candle.time < startTime || candles.has(candle.time)) continue;
+        candles.set(candle.time, candle);
+        fromProviders += 1;
+        // Only closed candles are kept; the one in progress is still being built from ticks
+        if (candle.time + intervalMs <= now) backfill.push({ ...candle, openTime: candle.time });
+      }
+      if (stored && backfill.length > 0) {
+        candleStore.backfill(normalizedSymbol, interval, backfill)
+          .catch((err) => console.error('[CHARTS] Error storing backfilled candles:', err?.message || err));
+      }
     }
 
+    if (candles.size === 0) {
+      return res.status(503).json({ message: 'No stored candles and could not fetch chart data from external providers.', data: [] });
+    }
+    console.log(`[CHARTS] Serving ${fromStore} stored and ${fromProviders} provider candles for ${normalizedSymbol}.`);
+
     // Final formatting into the desired object structure
-    const formattedData = manipulatedData.map((d) => {
-      const timestamp = Number(d[0]); // Ensure it's a number
-      const open = parseFloat(d[1]);
-      const high = parseFloat(d[2]);
-      const low = parseFloat(d[3]);
-      const close = parseFloat(d[4]);
-      const volume = parseFloat(d[5]) || 0;
-      return {
-        time: Math.floor(timestamp / 1000), // seconds
-        timestamp: new Date(timestamp).toISOString(),
-        open,
-        high,
-        low,
-        close,
-        volume,
-      };
+    const formattedData = [...candles.values()]
+      .sort((a, b) => a.time - b.time)
+      .map((c) => ({
+        time: Math.floor(c.time / 1000), // seconds
+        timestamp: new Date(c.time).toISOString(),
+        open: c.open,
+        high: c.high,
+        low: c.low,
+        close: c.close,
+        volume: c.volume,
+      }));
+
+    res.json({
+      symbol: normalizedSymbol,
+      interval,
+      data: formattedData,
+      sources: { store: fromStore, providers: fromProviders },
     });
-
-    res.json({ symbol: normalizedSymbol, interval, data: formattedData });
   } catch (error) {
     console.error('Error fetching klines data:', error?.message || error);
     res.status(500).json({ message: 'Internal server error while processing chart data', error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const MarginPosition = require('../models/MarginPosition');
+const Liquidation = require('../models/Liquidation');
+const MarketPrice = require('../models/MarketPrice');
+const marginEngine = require('../services/marginEngine');
+const { TradeError } = require('../utils/tradeError');
+
+// List the user's margin positions, optionally filtered by ?status=OPEN|CLOSED|LIQUIDATED
+router.get('/positions', auth, async (req, res) => {
+    const filter = { user: req.user };
+    if (req.query.status) {
+        const statuses = MarginPosition.schema.path('status').enumValues;
+        if (!statuses.includes(req.query.status)) {
+            return res.status(400).json({ message: `status must be one of ${statuses.join(', ')}.` });
+        }
+        filter.status = req.query.status;
+    }
+
+    try {
+        const positions = await MarginPosition.find(filter).sort({ createdAt: -1 });
+        res.json(positions);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching positions.' });
+    }
+});
+
+// Open a leveraged position at the market price
+// Body: { symbol, side: 'LONG'|'SHORT', quantity, leverage }
+router.post('/positions', auth, async (req, res) => {
+    const { symbol, side, quantity, leverage = 1 } = req.body;
+
+    if (!symbol) return res.status(400).json({ message: 'symbol is required.' });
+    if (!['LONG', 'SHORT'].includes(side)) return res.status(400).json({ message: 'side must be LONG or SHORT.' });
+    if (typeof quantity !== 'number' || !(quantity > 0)) return res.status(400).json({ message: 'quantity must be a positive number.' });
+    if (typeof leverage !== 'number' || !(leverage >= 1)) return res.status(400).json({ message: 'leverage must be a number of at least 1.' });
+
+    try {
+        const position = await marginEngine.openPosition({ userId: req.user, symbol: symbol.toUpperCase(), side, quantity, leverage });
+        res.status(201).json({ message: 'Position opened successfully.', position });
+    } catch (err) {
+        if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+        res.status(500).json({ message: 'Server error opening position.' });
+    }
+});
+
+// Close an open position at the market price
+router.post('/positions/:id/close', auth, async (req, res) => {
+    try {
+        const position = await marginEngine.closePosition(req.params.id, req.user);
+        res.json({ message: 'Position closed successfully.', position });
+    } catch (err) {
+        if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+        res.status(500).json({ message: 'Server error closing position.' });
+    }
+});
+
+// List the user's liquidations, newest first
+router.get('/liquidations', auth, async (req, res) => {
+    try {
+        const liquidations = await Liquidation.find({ user: req.user }).sort({ createdAt: -1 });
+        res.json(liquidations);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching liquidations.' });
+    }
+});
+
+// Margin parameters (max leverage, maintenance margin rate) for every listed symbol
+router.get('/settings', auth, async (req, res) => {
+    try {
+        const symbols = await MarketPrice.distinct('symbol');
+        const settings = await Promise.all(symbols.map((symbol) => marginEngine.getSettings(symbol)));
+        res.json(settings);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error fetching margin settings.' });
+    }
+});
+
+module.exports = router;
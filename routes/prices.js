@@ -1,26 +1,23 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const MarketPrice = require('../models/MarketPrice');
 const Manipulation = require('../models/Manipulation');
+const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const auth = require('../middleware/auth');
+const priceUpdater = require('../services/priceUpdater');
+const marketData = require('../services/marketData');
+const symbols = require('../services/symbols');
+const manipulationQueue = require('../services/manipulationQueue');
+const manipulationPreview = require('../services/manipulationPreview');
+const { validateManipulation } = require('../utils/manipulationValidation');
 
-// GET /api/prices - list current market prices
+// GET /api/prices - list current market prices of listed symbols
 router.get('/', async (req, res) => {
   try {
-    const prices = await MarketPrice.find({}).sort({ symbol: 1 });
-
-    // Sanitize prices to prevent UI errors with dates
-    const sanitizedPrices = prices.map((p) => {
-      const priceObject = p.toObject();
-      if (!priceObject.manipulation) {
-        priceObject.manipulation = {};
-      }
-      // Ensure date fields are null instead of undefined
-      priceObject.manipulation.startTime = priceObject.manipulation.startTime || null;
-      priceObject.manipulation.endTime = priceObject.manipulation.endTime || null;
-      return priceObject;
-    });
+    const listing = new Map((await symbols.listPriced()).map((s) => [s.symbol, s]));
+    const prices = await MarketPrice.find({ symbol: { $in: [...listing.keys()] } }).sort({ symbol: 1 });
 
     // Determine whether caller (if authenticated) can manipulate prices
     let canManipulate = false;
@@ -35,6 +32,23 @@ router.get('/', async (req, res) => {
       }
     }
 
+    // Sanitize prices to prevent UI errors with dates
+    const sanitizedPrices = prices.map((p) => {
+      const priceObject = p.toObject();
+      priceObject.displayName = listing.get(p.symbol).displayName;
+      priceObject.status = listing.get(p.symbol).status;
+      const manip = priceObject.manipulation || {};
+      // The noise seed, curve and admin would let anyone work out the coming prices; only admins see them
+      priceObject.manipulation = canManipulate ? manip : {
+        isActive: !!manip.isActive,
+        isCoolingDown: !!manip.isCoolingDown,
+      };
+      // Ensure date fields are null instead of undefined
+      priceObject.manipulation.startTime = manip.startTime || null;
+      priceObject.manipulation.endTime = manip.endTime || null;
+      return priceObject;
+    });
+
     res.json({ prices: sanitizedPrices, canManipulate });
   } catch (err) {
     console.error('GET /api/prices error', err);
@@ -42,59 +56,179 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /api/prices/manipulate - set price manipulation for a symbol
+// GET /api/prices/symbols - listed instruments (delisted ones are omitted)
+router.get('/symbols', async (req, res) => {
+  try {
+    const listing = await symbols.listPriced();
+    res.json({
+      symbols: listing.map((s) => ({
+        symbol: s.symbol,
+        baseAsset: s.baseAsset,
+        quoteAsset: s.quoteAsset,
+        displayName: s.displayName,
+        status: s.status,
+        ...Object.fromEntries(symbols.RULE_FIELDS.map((f) => [f, s[f] || 0])),
+      })),
+    });
+  } catch (err) {
+    console.error('GET /api/prices/symbols error', err);
+    res.status(500).json({ error: 'Failed to fetch symbols' });
+  }
+});
+
+// GET /api/prices/health - source and age of every listed symbol's price
+router.get('/health', async (req, res) => {
+  try {
+    const listed = (await symbols.listPriced()).map((s) => s.symbol);
+    const prices = await MarketPrice.find({ symbol: { $in: listed } }).select('symbol updatedAt').sort({ symbol: 1 });
+    const feeds = new Map(priceUpdater.getFeedHealth().map((f) => [f.symbol, f]));
+    const now = Date.now();
+
+    const health = prices.map((p) => {
+      const feed = feeds.get(p.symbol);
+      return {
+        symbol: p.symbol,
+        priceUpdatedAt: p.updatedAt,
+        priceAgeMs: p.updatedAt ? now - p.updatedAt.getTime() : null,
+        source: feed ? feed.source : null,
+        stream: feed ? feed.stream : null,
+      };
+    });
+
+    res.json({ provider: marketData.getPriceProvider().name, symbols: health });
+  } catch (err) {
+    console.error('GET /api/prices/health error', err);
+    res.status(500).json({ error: 'Failed to fetch feed health' });
+  }
+});
+
+/**
+ * The authenticated admin, as recorded on manipulations. The identity comes from the token,
+ * never from the request body.
+ * @param {object} req - The authenticated request.
+ * @returns {Promise<{userId: string, username: string}|null>} Null if the user no longer exists.
+ */
+async function adminIdentity(req) {
+  const user = await User.findById(req.user).select('username').lean();
+  return user ? { userId: String(user._id), username: user.username } : null;
+}
+
+// POST /api/prices/manipulate - schedule a price manipulation for a symbol
+// Body: { symbol, startTime, endTime, endValue, curve?, steps?, waypoints? }
+// Manipulations queue up per symbol and run back to back; overlapping windows are rejected.
 router.post('/manipulate', auth, async (req, res) => {
   // Only admin/authorized users may set manipulations
   if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to manipulate prices' });
 
   try {
-    const { symbol, startTime, endTime, endValue, adminUserId, adminUsername } = req.body;
+    const admin = await adminIdentity(req);
+    if (!admin) return res.status(401).json({ error: 'User not found' });
+    const { error, fields } = validateManipulation(req.body);
+    if (error) return res.status(400).json({ error });
+
+    if (!(await symbols.findListed(fields.symbol))) {
+      return res.status(404).json({ error: 'Symbol not found' });
+    }
 
-    if (!symbol || !startTime || !endTime || endValue === undefined || !adminUserId || !adminUsername) {
-      return res.status(400).json({ error: 'symbol, startTime, endTime, endValue, adminUserId, and adminUsername are required' });
+    const overlap = await manipulationQueue.findOverlap(fields);
+    if (overlap) {
+      return res.status(409).json({
+        error: `Overlaps ${overlap.status} manipulation ${overlap._id} (${overlap.startTime.toISOString()} - ${overlap.endTime.toISOString()})`,
+        conflict: overlap,
+      });
     }
 
-    const start = new Date(startTime);
-    const end = new Date(endTime);
+    const manipulation = await Manipulation.create({ ...fields, adminUserId: admin.userId, adminUsername: admin.username });
+    res.status(201).json({ message: 'Price manipulation scheduled successfully', manipulation });
+  } catch (err) {
+    console.error('POST /api/prices/manipulate error', err);
+    res.status(500).json({ error: 'Failed to set price manipulation' });
+  }
+});
 
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({ error: 'Invalid date format' });
-    }
+// POST /api/prices/manipulate/preview - dry run of a manipulation; nothing is persisted
+// Same body as /manipulate. ?samples= sets the number of path points per phase (default 200, max 1000).
+router.post('/manipulate/preview', auth, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to manipulate prices' });
 
-    if (end <= start) {
-      return res.status(400).json({ error: 'endTime must be after startTime' });
+  try {
+    const { error, fields } = validateManipulation(req.body);
+    if (error) return res.status(400).json({ error });
+
+    let samples = manipulationPreview.DEFAULT_SAMPLES;
+    if (req.query.samples !== undefined) {
+      samples = parseInt(req.query.samples, 10);
+      if (!(samples >= 1 && samples <= manipulationPreview.MAX_SAMPLES)) {
+        return res.status(400).json({ error: `samples must be between 1 and ${manipulationPreview.MAX_SAMPLES}` });
+      }
     }
 
-    const doc = await MarketPrice.findOne({ symbol });
-    if (!doc) {
-      return res.status(404).json({ error: 'Symbol not found' });
+    const listing = await symbols.findListed(fields.symbol);
+    if (!listing) return res.status(404).json({ error: 'Symbol not found' });
+    const doc = await MarketPrice.findOne({ symbol: fields.symbol }).lean();
+
+    const [result, conflict] = await Promise.all([
+      manipulationPreview.preview(fields, listing, doc, { samples }),
+      manipulationQueue.findOverlap(fields),
+    ]);
+    if (!result) return res.status(404).json({ error: 'No price for symbol yet' });
+    // The conflicting entry /manipulate would reject this window for, if any
+    res.json({ ...result, manipulation: fields, conflict });
+  } catch (err) {
+    console.error('POST /api/prices/manipulate/preview error', err);
+    res.status(500).json({ error: 'Failed to preview price manipulation' });
+  }
+});
+
+// GET /api/prices/manipulations - manipulation history, newest first
+// Query: page, limit, symbol, admin (user ID or username), status, from, to (windows overlapping the range)
+router.get('/manipulations', auth, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to view manipulations' });
+
+  const { symbol, admin, status, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = {};
+  if (symbol) filter.symbol = String(symbol).replace('/', '').toUpperCase();
+  if (admin) filter.$or = [{ adminUserId: String(admin) }, { adminUsername: String(admin) }];
+  if (status) {
+    const statuses = Manipulation.schema.path('status').enumValues;
+    if (!statuses.includes(status)) return res.status(400).json({ error: `status must be one of ${statuses.join(', ')}` });
+    filter.status = status;
+  }
+  if (from || to) {
+    const range = { from: from && new Date(from), to: to && new Date(to) };
+    if ([range.from, range.to].some((d) => d && isNaN(d.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date format' });
     }
+    if (range.from) filter.endTime = { $gte: range.from };
+    if (range.to) filter.startTime = { $lte: range.to };
+  }
 
-    const manipulationData = {
-      startTime: start,
-      endTime: end,
-      endValue: parseFloat(endValue),
-      durationMs: end.getTime() - start.getTime(),
-      originalPrice: doc.price,
-      adminUserId,
-      adminUsername,
-    };
-
-    // Set manipulation
-    doc.manipulation = {
-      ...manipulationData,
-      isActive: true,
-    };
-    await doc.save();
-
-    // Record manipulation in database
-    const manipulationRecord = new Manipulation({ ...manipulationData, symbol });
-    await manipulationRecord.save();
-
-    res.json({ message: 'Price manipulation set successfully', manipulation: doc.manipulation });
+  try {
+    const [manipulations, total] = await Promise.all([
+      Manipulation.find(filter).sort({ startTime: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Manipulation.countDocuments(filter),
+    ]);
+    res.json({ manipulations, page, limit, total, totalPages: Math.ceil(total / limit) });
   } catch (err) {
-    console.error('POST /api/prices/manipulate error', err);
-    res.status(500).json({ error: 'Failed to set price manipulation' });
+    console.error('GET /api/prices/manipulations error', err);
+    res.status(500).json({ error: 'Failed to fetch manipulations' });
+  }
+});
+
+// GET /api/prices/manipulations/queue - scheduled and running manipulations, optionally ?symbol=
+router.get('/manipulations/queue', auth, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to view manipulations' });
+
+  try {
+    const symbol = req.query.symbol ? String(req.query.symbol).replace('/', '').toUpperCase() : undefined;
+    const queue = await manipulationQueue.listQueue(symbol);
+    res.json({ queue });
+  } catch (err) {
+    console.error('GET /api/prices/manipulations/queue error', err);
+    res.status(500).json({ error: 'Failed to fetch manipulation queue' });
   }
 });
 
@@ -106,18 +240,66 @@ router.delete('/manipulations/clear', auth, async (req, res) => {
   }
 
   try {
-    const result = await MarketPrice.updateMany(
-      { 'manipulation.isActive': true },
-      { $set: { 'manipulation.isActive': false } }
-    );
+    const admin = await adminIdentity(req);
+    if (!admin) return res.status(401).json({ error: 'User not found' });
 
-    const message = `Cleared ${result.modifiedCount} active price manipulation(s). Prices will revert to market value on the next tick.`;
+    // Each running manipulation is canceled like a per-symbol cancel, so its price cools down
+    const running = await MarketPrice.find({ 'manipulation.isActive': true }).select('symbol').lean();
+    let clearedCount = 0;
+    for (const { symbol } of running) {
+      if (await manipulationQueue.cancelActive(symbol, admin)) clearedCount += 1;
+    }
+
+    const message = `Cleared ${clearedCount} active price manipulation(s). Prices will cool down to market value.`;
     console.log(`[ADMIN] ${message}`);
-    res.json({ success: true, message, clearedCount: result.modifiedCount });
+    res.json({ success: true, message, clearedCount });
   } catch (err) {
     console.error('DELETE /api/prices/manipulations/clear error', err);
     res.status(500).json({ error: 'Failed to clear price manipulations' });
   }
 });
 
+// DELETE /api/prices/manipulations/:id - cancel a scheduled manipulation that has not started
+router.delete('/manipulations/:id', auth, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to cancel manipulations' });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Manipulation not found' });
+
+  try {
+    const admin = await adminIdentity(req);
+    if (!admin) return res.status(401).json({ error: 'User not found' });
+
+    const { entry, reason } = await manipulationQueue.cancelScheduled(req.params.id, admin);
+    if (reason === 'not_found') return res.status(404).json({ error: 'Manipulation not found' });
+    if (reason === 'not_scheduled') return res.status(409).json({ error: 'Only scheduled manipulations can be canceled' });
+    res.json({ message: 'Manipulation canceled', manipulation: entry });
+  } catch (err) {
+    console.error('DELETE /api/prices/manipulations/:id error', err);
+    res.status(500).json({ error: 'Failed to cancel manipulation' });
+  }
+});
+
+// POST /api/prices/manipulations/:symbol/cancel - stop the manipulation running on a symbol
+// The price cools down from where it is back to the market price; the next queued entry may then start.
+router.post('/manipulations/:symbol/cancel', auth, async (req, res) => {
+  if (!req.isAdmin) return res.status(403).json({ error: 'Forbidden: not authorized to cancel manipulations' });
+
+  try {
+    const admin = await adminIdentity(req);
+    if (!admin) return res.status(401).json({ error: 'User not found' });
+
+    const symbol = req.params.symbol.replace('/', '').toUpperCase();
+    const canceled = await manipulationQueue.cancelActive(symbol, admin);
+    if (!canceled) return res.status(409).json({ error: `No manipulation is running on ${symbol}` });
+
+    res.json({
+      message: 'Manipulation canceled; cooling down to market price',
+      coolDownEndTime: canceled.doc.manipulation.coolDownEndTime,
+      manipulation: canceled.entry,
+    });
+  } catch (err) {
+    console.error('POST /api/prices/manipulations/:symbol/cancel error', err);
+    res.status(500).json({ error: 'Failed to cancel manipulation' });
+  }
+});
+
 module.exports = router;
@@ -1,43 +1,133 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const User = require('../models/User');
 const Asset = require('../models/Asset');
+const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const MarketPrice = require('../models/MarketPrice');
 const ConditionalOrder = require('../models/ConditionalOrder');
+const tradeEngine = require('../services/tradeEngine');
+const symbols = require('../services/symbols');
+const tradingRules = require('../utils/tradingRules');
+const reservations = require('../services/reservations');
+const taxLots = require('../services/taxLots');
+const equitySnapshots = require('../services/equitySnapshots');
+const EquitySnapshot = require('../models/EquitySnapshot');
+const orderAmendments = require('../services/orderAmendments');
+const { validateOrder, resolveTimeInForce } = require('../utils/orderValidation');
+const { computePerformance } = require('../utils/performance');
+
+const { TradeError } = tradeEngine;
 
 /**
- * Creates Take Profit and/or Stop Loss conditional orders after a trade.
+ * Checks that bracket exit prices sit on the right side of the entry price.
+ * @param {string} exitSide - The side of the exit orders ('BUY' or 'SELL').
+ * @param {number} price - The entry price.
+ * @param {number} [takeProfit] - The take-profit price.
+ * @param {number} [stopLoss] - The stop-loss price.
+ * @returns {string|null} An error message, or null if the prices are valid.
+ */
+function validateBracket(exitSide, price, takeProfit, stopLoss) {
+  for (const [name, value] of [['takeProfit', takeProfit], ['stopLoss', stopLoss]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      return `${name} must be a positive number.`;
+    }
+  }
+  if (exitSide === 'SELL') {
+    if (takeProfit && takeProfit <= price) return 'takeProfit must be above the current price when buying.';
+    if (stopLoss && stopLoss >= price) return 'stopLoss must be below the current price when buying.';
+  } else {
+    if (takeProfit && takeProfit >= price) return 'takeProfit must be below the current price when selling.';
+    if (stopLoss && stopLoss <= price) return 'stopLoss must be above the current price when selling.';
+  }
+  return null;
+}
+
+/**
+ * Creates a bracket of exit orders for a fill: the take-profit rests as a limit order and
+ * the stop-loss is a stop that fills at market once triggered. When both are given they
+ * are linked one-cancels-other and share a single reservation.
  * @param {object} params - The parameters for creating the orders.
  * @param {string} params.user - The user ID.
  * @param {string} params.symbol - The trading symbol.
- * @param {number} params.amount - The amount of the asset.
- * @param {string} params.side - The side of the conditional orders ('BUY' or 'SELL').
+ * @param {number} params.amount - The filled quantity the bracket protects.
+ * @param {string} params.side - The side of the exit orders ('BUY' or 'SELL').
+ * @param {object} params.parentTradeId - The fill the bracket is attached to.
  * @param {number} [params.takeProfit] - The take-profit price.
  * @param {number} [params.stopLoss] - The stop-loss price.
  * @returns {Promise<Array>} A promise that resolves to an array of created orders.
  */
-async function createConditionalOrders({ user, symbol, amount, side, takeProfit, stopLoss }) {
-  const createdOrders = [];
-  const orderBase = { user, symbol, amount, side, type: 'STOP_LIMIT' };
-
-  // Create a Take-Profit order (acts as a stop-limit order in reverse)
-  if (takeProfit && typeof takeProfit === 'number' && takeProfit > 0) {
-    const tpOrder = new ConditionalOrder({ ...orderBase, stopPrice: takeProfit, limitPrice: takeProfit });
-    await tpOrder.save();
-    createdOrders.push(tpOrder);
+async function createBracketOrders({ user, symbol, amount, side, parentTradeId, takeProfit, stopLoss }) {
+  const base = { user, symbol, amount, side, parentTradeId };
+  const linked = Boolean(takeProfit && stopLoss);
+  const takeProfitId = new mongoose.Types.ObjectId();
+  const stopLossId = new mongoose.Types.ObjectId();
+  const legs = [];
+
+  if (takeProfit) {
+    const fields = { ...base, _id: takeProfitId, bracketRole: 'TAKE_PROFIT', limitPrice: takeProfit };
+    Object.assign(fields, linked ? { type: 'OCO', ocoLeg: 'LIMIT' } : { type: 'LIMIT' });
+    legs.push({ fields, referencePrice: takeProfit });
   }
 
-  // Create a Stop-Loss order
-  if (stopLoss && typeof stopLoss === 'number' && stopLoss > 0) {
-    const slOrder = new ConditionalOrder({ ...orderBase, stopPrice: stopLoss, limitPrice: stopLoss });
-    await slOrder.save();
-    createdOrders.push(slOrder);
+  if (stopLoss) {
+    const fields = { ...base, _id: stopLossId, bracketRole: 'STOP_LOSS', stopPrice: stopLoss };
+    Object.assign(fields, linked ? { type: 'OCO', ocoLeg: 'STOP' } : { type: 'STOP_LIMIT' });
+    legs.push({ fields, referencePrice: stopLoss });
   }
 
-  return createdOrders;
+  if (legs.length === 0) return [];
+  if (linked) {
+    legs.forEach((leg) => { leg.fields.ocoPair = { stopOrderId: stopLossId, limitOrderId: takeProfitId }; });
+  }
+  return reservations.placeOrders(legs);
+}
+
+/**
+ * Summarises a bracket for API responses.
+ * @param {Array} orders - The bracket orders.
+ * @returns {object|null}
+ */
+function formatBracket(orders) {
+  if (orders.length === 0) return null;
+  const leg = (role) => {
+    const order = orders.find((o) => o.bracketRole === role);
+    if (!order) return null;
+    return {
+      orderId: order._id,
+      type: order.type,
+      status: order.status,
+      price: role === 'TAKE_PROFIT' ? order.limitPrice : order.stopPrice,
+      amount: order.amount,
+    };
+  };
+  return {
+    parentTradeId: orders[0].parentTradeId,
+    linked: orders.length > 1,
+    takeProfit: leg('TAKE_PROFIT'),
+    stopLoss: leg('STOP_LOSS'),
+  };
+}
+
+/**
+ * Rounds a conditional order's amount and prices to the symbol's trading rules and checks them.
+ * The rounded order is validated again, since snapping prices to the tick can collapse a price
+ * relationship (e.g. a stop one tick away from its limit).
+ * @param {string} symbol - The trading symbol.
+ * @param {object} order - Order fields for validateOrder: type, side, amount and its prices.
+ * @param {object} [context] - As for validateOrder.
+ * @returns {Promise<object>} The rounded fields.
+ * @throws {TradeError} If the symbol is not tradable or the rounded order breaks a rule or is invalid.
+ */
+async function roundToRules(symbol, order, context) {
+  const rules = tradingRules.rulesOf(await symbols.assertTradable(symbol));
+  const rounded = tradingRules.roundOrder(rules, order);
+  tradingRules.assertOrder(rules, rounded);
+  const invalid = validateOrder(rounded, context);
+  if (invalid) throw new TradeError(invalid);
+  return rounded;
 }
 
 // List user's assets
@@ -64,6 +154,8 @@ router.get('/', auth, async (req, res) => {
 			return {
 				symbol: a.crypto,
 				quantity: a.amount,
+				availableQuantity: (a.amount || 0) - (a.lockedAmount || 0),
+				lockedQuantity: a.lockedAmount || 0,
 				averagePrice: a.averagePrice,
 				currentPrice,
 				totalValue,
@@ -83,72 +175,62 @@ router.post('/buy', auth, async (req, res) => {
 	if (!symbol || typeof amount !== 'number') return res.status(400).json({ message: 'Missing or invalid fields (symbol, amount).' });
 	if (amount <= 0) return res.status(400).json({ message: 'Amount must be positive' });
 
-	// Check for existing active conditional orders for this symbol
-	const activeOrders = await ConditionalOrder.findOne({ user: req.user, symbol, status: 'ACTIVE' });
-	if (activeOrders) {
-		return res.status(409).json({ message: `You have an active conditional order for ${symbol}. Please cancel it before placing a new trade.` });
-	}
-
 	try {
 		// Fetch current market price to execute trade, preventing use of stale client-side price
+		const rules = tradingRules.rulesOf(await symbols.assertTradable(symbol));
 		const marketPrice = await MarketPrice.findOne({ symbol });
 		if (!marketPrice) return res.status(404).json({ message: 'Symbol not found' });
 		const price = marketPrice.price;
 
-		const user = await User.findById(req.user);
-		if (!user) return res.status(404).json({ message: 'User not found' });
-		const total = amount * price;
-		if (user.balance < total) return res.status(400).json({ message: 'Insufficient funds' });
-
-		// Deduct balance
-		user.balance -= total;
-		await user.save();
-
-		// Add or update asset
-		let asset = await Asset.findOne({ user: req.user, crypto: symbol });
-		if (!asset) {
-			asset = new Asset({ user: req.user, crypto: symbol, amount, averagePrice: price });
-		} else {
-			// Recalculate average price
-			const prevAmount = asset.amount || 0;
-			const prevAvg = asset.averagePrice || 0;
-			const newAmount = prevAmount + amount;
-			const newAvg = ((prevAmount * prevAvg) + (amount * price)) / newAmount;
-			asset.amount = newAmount;
-			asset.averagePrice = newAvg;
+		// The quantity is rounded down to the step size and the bracket prices to the tick size
+		const quantity = tradingRules.roundQuantity(amount, rules);
+		tradingRules.assertQuantity(rules, quantity, price);
+		const exits = { takeProfit: tradingRules.roundPrice(takeProfit, rules), stopLoss: tradingRules.roundPrice(stopLoss, rules) };
+
+		const bracketError = validateBracket('SELL', price, exits.takeProfit, exits.stopLoss);
+		if (bracketError) return res.status(400).json({ message: bracketError });
+
+		const fill = await tradeEngine.executeFill({ userId: req.user, symbol, side: 'BUY', amount: quantity, price });
+		const total = fill.total;
+		const fee = fill.fee;
+
+		// Attach the Take-Profit/Stop-Loss bracket, sized to the filled quantity. The trade has
+		// already executed, so a failed reservation is reported rather than failing the request.
+		let conditionalOrders = [];
+		let conditionalOrdersError;
+		try {
+			conditionalOrders = await createBracketOrders({
+				user: req.user,
+				symbol,
+				amount: fill.quantity,
+				side: 'SELL', // TP/SL for a buy is a sell
+				parentTradeId: fill.tradeId,
+				...exits,
+			});
+		} catch (err) {
+			if (!(err instanceof TradeError)) throw err;
+			conditionalOrdersError = err.message;
 		}
-		await asset.save();
-
-		// Fee placeholder (1%)
-		const fee = +(total * 0.01).toFixed(2);
-		const tx = new Transaction({ user: req.user, type: 'trade', amount: -total });
-		await tx.save();
-
-		// Create Take-Profit and/or Stop-Loss orders if specified
-		const conditionalOrders = await createConditionalOrders({
-			user: req.user,
-			symbol,
-			amount,
-			side: 'SELL', // TP/SL for a buy is a sell
-			takeProfit,
-			stopLoss,
-		});
 
 		const trade = {
 			success: true,
-			tradeId: tx._id,
+			tradeId: fill.tradeId,
 			symbol: symbol,
-			quantity: amount,
+			quantity,
 			price,
 			totalCost: total,
 			fee,
-			timestamp: tx.date,
-			newBalance: user.balance,
+			feeRate: fill.feeRate,
+			timestamp: fill.timestamp,
+			newBalance: fill.newBalance,
 			conditionalOrders: conditionalOrders.map(o => o._id),
+			bracket: formatBracket(conditionalOrders),
+			conditionalOrdersError,
 		};
 
 		res.status(201).json(trade);
 	} catch (err) {
+		if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
 		res.status(500).json({ message: 'Server error' });
 	}
 });
@@ -159,70 +241,100 @@ router.post('/sell', auth, async (req, res) => {
 	if (!symbol || typeof amount !== 'number') return res.status(400).json({ message: 'Missing or invalid fields (symbol, amount).' });
 	if (amount <= 0) return res.status(400).json({ message: 'Amount must be positive' });
 
-	// Check for existing active conditional orders for this symbol
-	const activeOrders = await ConditionalOrder.findOne({ user: req.user, symbol, status: 'ACTIVE' });
-	if (activeOrders) {
-		return res.status(409).json({ message: `You have an active conditional order for ${symbol}. Please cancel it before placing a new trade.` });
-	}
-
 	try {
 		// Fetch current market price to execute trade
+		const rules = tradingRules.rulesOf(await symbols.assertTradable(symbol));
 		const marketPrice = await MarketPrice.findOne({ symbol });
 		if (!marketPrice) return res.status(404).json({ message: 'Symbol not found' });
 		const price = marketPrice.price;
 
-		const asset = await Asset.findOne({ user: req.user, crypto: symbol });
-		if (!asset || asset.amount < amount) return res.status(400).json({ message: 'Insufficient holdings' });
-
+		// The quantity is rounded down to the step size and the bracket prices to the tick size
+		const quantity = tradingRules.roundQuantity(amount, rules);
+		tradingRules.assertQuantity(rules, quantity, price);
+		const exits = { takeProfit: tradingRules.roundPrice(takeProfit, rules), stopLoss: tradingRules.roundPrice(stopLoss, rules) };
 
-		const total = amount * price;
-		// Calculate gain/loss vs averagePrice
-		const avg = asset.averagePrice || 0;
-		const gainLoss = +(amount * (price - avg)).toFixed(2);
-		asset.amount -= amount;
-		if (asset.amount <= 0) await asset.remove();
-		else await asset.save();
+		const bracketError = validateBracket('BUY', price, exits.takeProfit, exits.stopLoss);
+		if (bracketError) return res.status(400).json({ message: bracketError });
 
-		const user = await User.findById(req.user);
-		user.balance += total;
-		await user.save();
+		const fill = await tradeEngine.executeFill({ userId: req.user, symbol, side: 'SELL', amount: quantity, price });
+		const total = fill.total;
 
-		const fee = +(total * 0.01).toFixed(2);
+		const fee = fill.fee;
 		const netProceeds = +(total - fee).toFixed(2);
 
-		const tx = new Transaction({ user: req.user, type: 'trade', amount: total });
-		await tx.save();
-
-		// Create Take-Profit and/or Stop-Loss orders if specified
-		const conditionalOrders = await createConditionalOrders({
-			user: req.user,
-			symbol,
-			amount,
-			side: 'BUY', // TP/SL for a sell is a buy
-			takeProfit,
-			stopLoss,
-		});
+		// Attach the Take-Profit/Stop-Loss bracket, sized to the filled quantity. The trade has
+		// already executed, so a failed reservation is reported rather than failing the request.
+		let conditionalOrders = [];
+		let conditionalOrdersError;
+		try {
+			conditionalOrders = await createBracketOrders({
+				user: req.user,
+				symbol,
+				amount: fill.quantity,
+				side: 'BUY', // TP/SL for a sell is a buy
+				parentTradeId: fill.tradeId,
+				...exits,
+			});
+		} catch (err) {
+			if (!(err instanceof TradeError)) throw err;
+			conditionalOrdersError = err.message;
+		}
 
 		res.status(201).json({
 			success: true,
-			tradeId: tx._id,
+			tradeId: fill.tradeId,
 			symbol: symbol,
-			quantity: amount,
+			quantity,
 			price,
 			totalProceeds: total,
 			fee,
+			feeRate: fill.feeRate,
 			netProceeds,
-			timestamp: tx.date,
-			newBalance: user.balance,
-			gainLoss,
+			timestamp: fill.timestamp,
+			newBalance: fill.newBalance,
+			gainLoss: fill.gainLoss,
+			costBasis: fill.costBasis,
+			realizedPnl: fill.realizedPnl,
 			conditionalOrders: conditionalOrders.map(o => o._id),
+			bracket: formatBracket(conditionalOrders),
+			conditionalOrdersError,
 		});
 	} catch (err) {
+		if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
 		res.status(500).json({ message: 'Server error' });
 	}
 });
 
 // --- Advanced Order Routes ---
+// All conditional orders accept an optional timeInForce: GTC (default), GTD with an expireAt date,
+// or DAY (expires at the next UTC midnight). Expired orders move to EXPIRED and release their reservation.
+
+// Place a Limit Order. It rests until the market trades at or better than limitPrice.
+router.post('/limit', auth, async (req, res) => {
+  const { symbol, side, amount, limitPrice } = req.body;
+  if (!symbol || !side || !amount || !limitPrice) {
+    return res.status(400).json({ message: 'symbol, side, amount, and limitPrice are required.' });
+  }
+  const invalid = validateOrder({ type: 'LIMIT', side, amount, limitPrice });
+  if (invalid) return res.status(400).json({ message: invalid });
+  const tif = resolveTimeInForce(req.body);
+  if (tif.error) return res.status(400).json({ message: tif.error });
+
+  try {
+    const marketPrice = await MarketPrice.findOne({ symbol });
+    if (!marketPrice) return res.status(404).json({ message: 'Symbol not found' });
+    const rounded = await roundToRules(symbol, { type: 'LIMIT', side, amount, limitPrice });
+
+    const [order] = await reservations.placeOrders([{
+      fields: { user: req.user, symbol, side, type: 'LIMIT', amount: rounded.amount, limitPrice: rounded.limitPrice, ...tif },
+      referencePrice: rounded.limitPrice,
+    }]);
+    res.status(201).json(order);
+  } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+    res.status(500).json({ message: 'Server error placing limit order.' });
+  }
+});
 
 // Place a Stop-Limit Order
 router.post('/stop-limit', auth, async (req, res) => {
@@ -230,94 +342,362 @@ router.post('/stop-limit', auth, async (req, res) => {
   if (!symbol || !side || !amount || !stopPrice || !limitPrice) {
     return res.status(400).json({ message: 'symbol, side, amount, stopPrice, and limitPrice are required.' });
   }
-  if (amount <= 0) return res.status(400).json({ message: 'Amount must be positive' });
+  const invalid = validateOrder({ type: 'STOP_LIMIT', side, amount, stopPrice, limitPrice });
+  if (invalid) return res.status(400).json({ message: invalid });
+  const tif = resolveTimeInForce(req.body);
+  if (tif.error) return res.status(400).json({ message: tif.error });
 
   try {
-    // Basic validation
-    if (side === 'BUY' && stopPrice >= limitPrice) {
-        return res.status(400).json({ message: 'For BUY orders, stopPrice must be less than limitPrice.' });
-    }
-    if (side === 'SELL' && stopPrice <= limitPrice) {
-        return res.status(400).json({ message: 'For SELL orders, stopPrice must be greater than limitPrice.' });
-    }
-
-    const order = new ConditionalOrder({
-      user: req.user,
-      symbol,
-      side,
-      type: 'STOP_LIMIT',
-      amount,
-      stopPrice,
-      limitPrice,
-    });
-    await order.save();
+    const rounded = await roundToRules(symbol, { type: 'STOP_LIMIT', side, amount, stopPrice, limitPrice });
+    const [order] = await reservations.placeOrders([{
+      fields: {
+        user: req.user,
+        symbol,
+        side,
+        type: 'STOP_LIMIT',
+        amount: rounded.amount,
+        stopPrice: rounded.stopPrice,
+        limitPrice: rounded.limitPrice,
+        ...tif,
+      },
+      referencePrice: rounded.limitPrice,
+    }]);
     res.status(201).json(order);
   } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
     res.status(500).json({ message: 'Server error placing stop-limit order.' });
   }
 });
 
+// Place a One-Cancels-the-Other Order: a resting limit leg plus a stop-limit leg.
+// Body: { symbol, side, amount, limitPrice, stopPrice, stopLimitPrice?, timeInForce?, expireAt? }
+router.post('/oco', auth, async (req, res) => {
+  const { symbol, side, amount, limitPrice, stopPrice } = req.body;
+  const stopLimitPrice = req.body.stopLimitPrice || stopPrice;
+  if (!symbol || !side || !amount || !limitPrice || !stopPrice) {
+    return res.status(400).json({ message: 'symbol, side, amount, limitPrice, and stopPrice are required.' });
+  }
+  const tif = resolveTimeInForce(req.body);
+  if (tif.error) return res.status(400).json({ message: tif.error });
+
+  try {
+    const marketPrice = await MarketPrice.findOne({ symbol });
+    if (!marketPrice) return res.status(404).json({ message: 'Symbol not found' });
+
+    // SELL: take profit above the market, stop below it. BUY: the mirror image.
+    const invalid = validateOrder(
+      { type: 'OCO', ocoLeg: 'LIMIT', side, amount, limitPrice },
+      { marketPrice: marketPrice.price, sibling: { ocoLeg: 'STOP', stopPrice, limitPrice: stopLimitPrice } }
+    );
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    // Both legs are rounded to the trading rules, then their prices are compared again
+    const rules = tradingRules.rulesOf(await symbols.assertTradable(symbol));
+    const stopLeg = tradingRules.roundOrder(rules, { ocoLeg: 'STOP', stopPrice, limitPrice: stopLimitPrice });
+    const limitLeg = tradingRules.roundOrder(rules, { type: 'OCO', ocoLeg: 'LIMIT', side, amount, limitPrice });
+    tradingRules.assertOrder(rules, limitLeg);
+    const roundedInvalid = validateOrder(limitLeg, { marketPrice: marketPrice.price, sibling: stopLeg });
+    if (roundedInvalid) return res.status(400).json({ message: roundedInvalid });
+
+    const limitOrderId = new mongoose.Types.ObjectId();
+    const stopOrderId = new mongoose.Types.ObjectId();
+    const base = { user: req.user, symbol, side, type: 'OCO', amount: limitLeg.amount, ocoPair: { stopOrderId, limitOrderId }, ...tif };
+
+    // Both legs are created in one transaction and share a single reservation
+    const [limitOrder, stopOrder] = await reservations.placeOrders([
+      { fields: { ...base, _id: limitOrderId, ocoLeg: 'LIMIT', limitPrice: limitLeg.limitPrice }, referencePrice: limitLeg.limitPrice },
+      {
+        fields: { ...base, _id: stopOrderId, ocoLeg: 'STOP', stopPrice: stopLeg.stopPrice, limitPrice: stopLeg.limitPrice },
+        referencePrice: stopLeg.limitPrice,
+      },
+    ]);
+    res.status(201).json({ limitOrder, stopOrder });
+  } catch (err) {
+    if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+    res.status(500).json({ message: 'Server error placing OCO order.' });
+  }
+});
+
 // Place a Trailing Stop Order
 router.post('/trailing-stop', auth, async (req, res) => {
     const { symbol, side, amount, trailingDelta } = req.body;
     if (!symbol || !side || !amount || !trailingDelta || !trailingDelta.value || !trailingDelta.type) {
         return res.status(400).json({ message: 'symbol, side, amount, and a valid trailingDelta object are required.' });
     }
-    if (trailingDelta.value <= 0) return res.status(400).json({ message: 'Trailing delta value must be positive.' });
+    const invalid = validateOrder({ type: 'TRAILING_STOP', side, amount, trailingDelta });
+    if (invalid) return res.status(400).json({ message: invalid });
+    const tif = resolveTimeInForce(req.body);
+    if (tif.error) return res.status(400).json({ message: tif.error });
 
     try {
         const marketPrice = await MarketPrice.findOne({ symbol });
         if (!marketPrice) return res.status(404).json({ message: 'Symbol not found' });
-
-        const order = new ConditionalOrder({
-            user: req.user,
-            symbol,
-            side,
-            type: 'TRAILING_STOP',
-            amount,
-            trailingDelta: {
-                type: trailingDelta.type, // 'PERCENTAGE' or 'ABSOLUTE'
-                value: trailingDelta.value,
+        const rounded = await roundToRules(symbol, { type: 'TRAILING_STOP', side, amount, trailingDelta });
+
+        // A BUY trailing stop can only trigger at or below the current price plus the delta
+        const delta = rounded.trailingDelta.type === 'PERCENTAGE'
+            ? marketPrice.price * (rounded.trailingDelta.value / 100)
+            : rounded.trailingDelta.value;
+
+        const [order] = await reservations.placeOrders([{
+            fields: {
+                user: req.user,
+                symbol,
+                side,
+                type: 'TRAILING_STOP',
+                amount: rounded.amount,
+                trailingDelta: {
+                    type: rounded.trailingDelta.type, // 'PERCENTAGE' or 'ABSOLUTE'
+                    value: rounded.trailingDelta.value,
+                },
+                // Set the initial reference price to the current market price
+                trailingReferencePrice: marketPrice.price,
+                ...tif,
             },
-            // Set the initial reference price to the current market price
-            trailingReferencePrice: marketPrice.price,
-        });
-        await order.save();
+            referencePrice: marketPrice.price + delta,
+        }]);
         res.status(201).json(order);
     } catch (err) {
+        if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
         res.status(500).json({ message: 'Server error placing trailing-stop order.' });
     }
 });
 
+// Get the user's fills, newest first
+// Query: page, limit, symbol, side (BUY|SELL), source (MANUAL|LIMIT|STOP_LIMIT|TRAILING_STOP|OCO), from, to
+router.get('/history', auth, async (req, res) => {
+  const { symbol, side, source, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = { user: req.user, type: 'trade' };
+  if (symbol) filter.symbol = symbol.replace('/', '').toUpperCase();
+  if (side) {
+    if (!['BUY', 'SELL'].includes(side)) return res.status(400).json({ message: 'side must be BUY or SELL.' });
+    filter.side = side;
+  }
+  if (source) {
+    const sources = Transaction.schema.path('source').enumValues;
+    if (!sources.includes(source)) return res.status(400).json({ message: `source must be one of ${sources.join(', ')}.` });
+    filter.source = source;
+  }
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+    if (Object.values(filter.date).some((d) => isNaN(d.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+  }
+
+  try {
+    const [trades, total] = await Promise.all([
+      Transaction.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+      Transaction.countDocuments(filter),
+    ]);
+    res.json({ trades, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error fetching trade history.' });
+  }
+});
+
+// Realized PnL of the user's sales (net of fees), by symbol and by period
+// Query: symbol, from, to, period (day|week|month, default month)
+router.get('/realized-pnl', auth, async (req, res) => {
+  const { symbol, from, to, period = 'month' } = req.query;
+  if (!['day', 'week', 'month'].includes(period)) {
+    return res.status(400).json({ message: 'period must be day, week or month.' });
+  }
+
+  const match = {
+    user: new mongoose.Types.ObjectId(req.user),
+    type: 'trade',
+    side: 'SELL',
+    realizedPnl: { $exists: true },
+  };
+  if (symbol) match.symbol = symbol.replace('/', '').toUpperCase();
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+    if (Object.values(match.date).some((d) => isNaN(d.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+  }
+
+  const totals = {
+    realizedPnl: { $sum: '$realizedPnl' },
+    proceeds: { $sum: '$amount' },
+    costBasis: { $sum: '$costBasis' },
+    fees: { $sum: '$fee' },
+    quantity: { $sum: '$quantity' },
+    trades: { $sum: 1 },
+  };
+
+  try {
+    const [user, [result]] = await Promise.all([
+      User.findById(req.user).select('costBasisMethod'),
+      Transaction.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            total: [{ $group: { _id: null, ...totals } }],
+            bySymbol: [
+              { $group: { _id: '$symbol', ...totals } },
+              { $sort: { _id: 1 } },
+            ],
+            byPeriod: [
+              {
+                $group: {
+                  _id: { period: { $dateTrunc: { date: '$date', unit: period, timezone: 'UTC' } }, symbol: '$symbol' },
+                  realizedPnl: { $sum: '$realizedPnl' },
+                },
+              },
+              {
+                $group: {
+                  _id: '$_id.period',
+                  realizedPnl: { $sum: '$realizedPnl' },
+                  bySymbol: { $push: { symbol: '$_id.symbol', realizedPnl: '$realizedPnl' } },
+                },
+              },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    const rename = ({ _id, ...rest }, key) => ({ [key]: _id, ...rest });
+    res.json({
+      costBasisMethod: user ? user.costBasisMethod : undefined,
+      period,
+      realizedPnl: result.total.length ? result.total[0].realizedPnl : 0,
+      bySymbol: result.bySymbol.map((row) => rename(row, 'symbol')),
+      byPeriod: result.byPeriod.map((row) => rename(row, 'periodStart')),
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error fetching realized PnL.' });
+  }
+});
+
+const PERFORMANCE_RANGES_MS = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+// Equity curve from the periodic snapshots, ending with the live valuation
+// Query: range (1d|7d|30d|all, default 7d). Returns exclude deposits and withdrawals.
+router.get('/performance', auth, async (req, res) => {
+  const { range = '7d' } = req.query;
+  if (!Object.prototype.hasOwnProperty.call(PERFORMANCE_RANGES_MS, range)) {
+    return res.status(400).json({ message: 'range must be 1d, 7d, 30d or all.' });
+  }
+
+  try {
+    const user = await User.findById(req.user).select('_id balance');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const since = PERFORMANCE_RANGES_MS[range] ? new Date(Date.now() - PERFORMANCE_RANGES_MS[range]) : null;
+    const snapshotFilter = { user: req.user };
+    if (since) snapshotFilter.takenAt = { $gte: since };
+    const snapshots = await EquitySnapshot.find(snapshotFilter).sort({ takenAt: 1 }).lean();
+    snapshots.push(await equitySnapshots.valueAccount(user, await equitySnapshots.loadPrices()));
+
+    const flows = await Transaction.find({
+      user: req.user,
+      type: { $in: ['deposit', 'withdrawal'] },
+      date: { $gt: snapshots[0].takenAt, $lte: snapshots[snapshots.length - 1].takenAt },
+    }).select('date amount').lean();
+
+    res.json({
+      range,
+      series: snapshots.map((s) => ({
+        takenAt: s.takenAt,
+        cash: s.cash,
+        holdingsValue: s.holdingsValue,
+        marginValue: s.marginValue || 0,
+        equity: s.equity,
+      })),
+      netDeposits: flows.reduce((sum, f) => sum + f.amount, 0),
+      ...computePerformance(snapshots, flows),
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error computing performance.' });
+  }
+});
+
+// Set how sales relieve tax lots: { method: 'FIFO' | 'LIFO' | 'AVERAGE' }
+// Applies to sales from now on; realized PnL already stored is not recomputed.
+router.put('/cost-basis-method', auth, async (req, res) => {
+  const { method } = req.body;
+  if (!taxLots.COST_BASIS_METHODS.includes(method)) {
+    return res.status(400).json({ message: `method must be one of ${taxLots.COST_BASIS_METHODS.join(', ')}.` });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user, { costBasisMethod: method }, { new: true }).select('costBasisMethod');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json({ costBasisMethod: user.costBasisMethod });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error updating cost-basis method.' });
+  }
+});
+
 // Get all conditional orders (active and historical) for the user
+// Query: status (optional, e.g. EXPIRED)
 router.get('/orders', auth, async (req, res) => {
+    const filter = { user: req.user };
+    if (req.query.status) {
+        const statuses = ConditionalOrder.schema.path('status').enumValues;
+        if (!statuses.includes(req.query.status)) {
+            return res.status(400).json({ message: `status must be one of ${statuses.join(', ')}.` });
+        }
+        filter.status = req.query.status;
+    }
+
     try {
-        const orders = await ConditionalOrder.find({
-            user: req.user
-        }).sort({ createdAt: -1 });
+        const orders = await ConditionalOrder.find(filter).sort({ createdAt: -1 });
         res.json(orders);
     } catch (err) {
         res.status(500).json({ message: 'Server error fetching orders.' });
     }
 });
 
+// Amend an active conditional order in place
+// Body: any of { amount, stopPrice, limitPrice, trailingDelta }, plus optional `version` (the order's __v)
+router.patch('/orders/:id', auth, async (req, res) => {
+    const changes = {};
+    for (const field of ['amount', 'stopPrice', 'limitPrice']) {
+        if (req.body[field] === undefined) continue;
+        if (typeof req.body[field] !== 'number') return res.status(400).json({ message: `${field} must be a number.` });
+        changes[field] = req.body[field];
+    }
+    if (req.body.trailingDelta !== undefined) {
+        const { type, value } = req.body.trailingDelta || {};
+        changes.trailingDelta = { type, value };
+    }
+    const { version } = req.body;
+    if (version !== undefined && !Number.isInteger(version)) return res.status(400).json({ message: 'version must be an integer.' });
+
+    try {
+        const order = await orderAmendments.amendOrder(req.params.id, req.user, changes, version);
+        res.json({ message: 'Order amended successfully.', order });
+    } catch (err) {
+        if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
+        res.status(500).json({ message: 'Server error amending order.' });
+    }
+});
+
 // Cancel an open conditional order
 router.delete('/orders/:id', auth, async (req, res) => {
     try {
-        const order = await ConditionalOrder.findOne({
-            _id: req.params.id,
-            user: req.user,
-        });
-
-        if (!order) return res.status(404).json({ message: 'Order not found.' });
-        if (order.status !== 'ACTIVE') return res.status(400).json({ message: 'Only active orders can be canceled.' });
-
-        order.status = 'CANCELED';
-        order.canceledAt = new Date();
-        await order.save();
-
+        // Cancels the order and releases any funds or holdings it had reserved
+        const order = await reservations.cancelOrder(req.params.id, req.user);
         res.json({ message: 'Order canceled successfully.', order });
     } catch (err) {
+        if (err instanceof TradeError) return res.status(err.status).json({ message: err.message, ...err.details });
         res.status(500).json({ message: 'Server error canceling order.' });
     }
 });
@@ -5,6 +5,9 @@ const cors = require('cors');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const priceUpdater = require('./services/priceUpdater');
+const orderExpiry = require('./services/orderExpiry');
+const equitySnapshots = require('./services/equitySnapshots');
+const wsGateway = require('./services/wsGateway');
 require('./models/ConditionalOrder'); // Ensures model is registered
 
 // Load env vars
@@ -21,10 +24,7 @@ app.use(express.json());
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
-wss.on('connection', (ws) => {
-  console.log('Client connected to WebSocket');
-  ws.on('close', () => console.log('Client disconnected'));
-});
+wsGateway.attach(wss);
 
 
 // DB Connect
@@ -39,11 +39,21 @@ mongoose
 // Start price updater once mongoose connection is open
 mongoose.connection.once('open', () => {
   try {
-    // Pass the WebSocket server instance to the price updater
-    priceUpdater.start({ wss });
+    // Ticks reach WebSocket clients through their channel subscriptions (see services/wsGateway.js)
+    priceUpdater.start();
   } catch (err) {
     console.error('Failed to start price updater', err);
   }
+  try {
+    orderExpiry.start();
+  } catch (err) {
+    console.error('Failed to start order expiry sweeper', err);
+  }
+  try {
+    equitySnapshots.start();
+  } catch (err) {
+    console.error('Failed to start equity snapshot job', err);
+  }
 });
 
 // Routes
@@ -51,6 +61,8 @@ app.use('/api/balance', require('./routes/balance'));
 // Assuming you have these routes from your project structure
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/trade', require('./routes/trade'));
+app.use('/api/margin', require('./routes/margin'));
+app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/charts', require('./routes/charts'));
 app.use('/api/prices', require('./routes/prices'));
 app.use('/api/admin', require('./routes/admin'));
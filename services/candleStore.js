@@ -0,0 +1,167 @@
+const Candle = require('../models/Candle');
+const { KLINE_INTERVALS, bucketStart } = require('../utils/candles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days each interval is kept; 0 keeps candles forever. Overridable with CANDLE_RETENTION_DAYS_<INTERVAL>
+const DEFAULT_RETENTION_DAYS = { '1m': 7, '5m': 30, '15m': 90, '1h': 365, '4h': 730, '1d': 0 };
+
+/**
+ * Returns the retention of an interval in days, read lazily so .env overrides apply.
+ * @param {string} interval - One of KLINE_INTERVALS.
+ * @returns {number}
+ */
+function retentionDays(interval) {
+  const override = process.env[`CANDLE_RETENTION_DAYS_${interval.toUpperCase()}`];
+  return override !== undefined ? parseFloat(override) : DEFAULT_RETENTION_DAYS[interval];
+}
+
+/**
+ * The expiry date of a candle under its interval's retention, or undefined to keep it.
+ * @param {number} openTime - The candle open time in milliseconds.
+ * @param {string} interval - One of KLINE_INTERVALS.
+ * @returns {Date|undefined}
+ */
+function expiryFor(openTime, interval) {
+  const days = retentionDays(interval);
+  if (!days || days <= 0) return undefined;
+  return new Date(openTime + KLINE_INTERVALS[interval] + days * DAY_MS);
+}
+
+/**
+ * Folds a published price into the symbol's candle for every interval.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} price - The published price.
+ * @param {Date|number} time - The tick time.
+ * @returns {Promise<Array>} The updated candles, one per interval.
+ */
+async function recordTick(symbol, price, time) {
+  const ms = new Date(time).getTime();
+  return Promise.all(Object.keys(KLINE_INTERVALS).map((interval) => {
+    const openTime = bucketStart(ms, interval);
+    const expireAt = expiryFor(openTime, interval);
+    // A pipeline update, so the first tick opens the candle even if a fill created it first
+    const fields = {
+      open: { $ifNull: ['$open', price] },
+      high: { $max: ['$high', price] },
+      low: { $min: ['$low', price] },
+      close: price,
+      volume: { $ifNull: ['$volume', 0] },
+      ticks: { $add: [{ $ifNull: ['$ticks', 0] }, 1] },
+      source: { $ifNull: ['$source', 'ticks'] },
+    };
+    if (expireAt) fields.expireAt = { $ifNull: ['$expireAt', expireAt] };
+    return Candle.findOneAndUpdate(
+      { symbol, interval, openTime: new Date(openTime) },
+      [{ $set: fields }],
+      { upsert: true, new: true, lean: true }
+    );
+  }));
+}
+
+/**
+ * Adds an executed fill's quantity to the volume of the symbol's current candles.
+ * A fill that comes before a candle's first tick only records volume; the tick opens the candle.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} quantity - The filled quantity.
+ * @param {Date|number} time - The fill time.
+ * @returns {Promise<void>}
+ */
+async function recordTrade(symbol, quantity, time) {
+  const ms = new Date(time).getTime();
+  await Candle.bulkWrite(Object.keys(KLINE_INTERVALS).map((interval) => {
+    const openTime = bucketStart(ms, interval);
+    const onInsert = { source: 'ticks' };
+    const expireAt = expiryFor(openTime, interval);
+    if (expireAt) onInsert.expireAt = expireAt;
+    return {
+      updateOne: {
+        filter: { symbol, interval, openTime: new Date(openTime) },
+        update: { $setOnInsert: onInsert, $inc: { volume: quantity } },
+        upsert: true,
+      },
+    };
+  }), { ordered: false });
+}
+
+/**
+ * Stored candles of a symbol with open times in [from, to], oldest first.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - One of KLINE_INTERVALS.
+ * @param {number} from - The first open time in milliseconds.
+ * @param {number} to - The last open time in milliseconds.
+ * @returns {Promise<Array>}
+ */
+async function getCandles(symbol, interval, from, to) {
+  return Candle.find({
+    symbol,
+    interval,
+    openTime: { $gte: new Date(from), $lte: new Date(to) },
+    // A candle only a fill has touched is not open yet
+    open: { $ne: null },
+  }).sort({ openTime: 1 }).lean();
+}
+
+/**
+ * Candles of a longer interval built from the stored candles of the longest interval that divides
+ * it, for periods whose own candles are not stored (weekly candles, or ones past their retention).
+ * @param {string} symbol - The trading symbol.
+ * @param {number} intervalMs - The length of the candles to build.
+ * @param {number} from - The first open time in milliseconds, aligned to intervalMs.
+ * @param {number} to - The last open time in milliseconds.
+ * @returns {Promise<Array>} { openTime, open, high, low, close, volume } with openTime in milliseconds, oldest first.
+ */
+async function composeCandles(symbol, intervalMs, from, to) {
+  const finer = Object.keys(KLINE_INTERVALS)
+    .filter((interval) => KLINE_INTERVALS[interval] < intervalMs && intervalMs % KLINE_INTERVALS[interval] === 0)
+    .pop();
+  if (!finer) return [];
+
+  const composed = new Map();
+  for (const part of await getCandles(symbol, finer, from, to + intervalMs - KLINE_INTERVALS[finer])) {
+    const openTime = Math.floor(new Date(part.openTime).getTime() / intervalMs) * intervalMs;
+    const candle = composed.get(openTime);
+    if (!candle) {
+      composed.set(openTime, { openTime, open: part.open, high: part.high, low: part.low, close: part.close, volume: part.volume || 0 });
+      continue;
+    }
+    candle.high = Math.max(candle.high, part.high);
+    candle.low = Math.min(candle.low, part.low);
+    candle.close = part.close;
+    candle.volume += part.volume || 0;
+  }
+  return [...composed.values()];
+}
+
+/**
+ * Stores closed candles fetched from a provider for periods with no ticks. Candles already in the
+ * store are never overwritten, so the prices that were actually published always win.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - One of KLINE_INTERVALS.
+ * @param {Array} candles - { openTime, open, high, low, close, volume } with openTime in milliseconds.
+ * @returns {Promise<void>}
+ */
+async function backfill(symbol, interval, candles) {
+  if (candles.length === 0) return;
+  await Candle.bulkWrite(candles.map((c) => {
+    const doc = {
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      volume: c.volume,
+      source: 'provider',
+    };
+    const expireAt = expiryFor(c.openTime, interval);
+    if (expireAt) doc.expireAt = expireAt;
+    return {
+      updateOne: {
+        filter: { symbol, interval, openTime: new Date(c.openTime) },
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    };
+  }), { ordered: false });
+}
+
+module.exports = { DEFAULT_RETENTION_DAYS, retentionDays, recordTick, recordTrade, getCandles, composeCandles, backfill };
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const Asset = require('../models/Asset');
+const MarketPrice = require('../models/MarketPrice');
+const MarginPosition = require('../models/MarginPosition');
+const EquitySnapshot = require('../models/EquitySnapshot');
+
+let intervalHandle = null;
+
+/**
+ * Loads the current price of every listed symbol.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function loadPrices() {
+  const prices = await MarketPrice.find({}).select('symbol price');
+  return new Map(prices.map((p) => [p.symbol, p.price]));
+}
+
+/**
+ * Values a user's account at the given prices: cash, spot holdings and open margin positions.
+ * Holdings without a market price are valued at their average purchase price.
+ * @param {object} user - The user document (needs _id and balance).
+ * @param {Map<string, number>} prices - Current prices by symbol.
+ * @returns {Promise<object>} The snapshot fields (not saved).
+ */
+async function valueAccount(user, prices) {
+  const [assets, positions] = await Promise.all([
+    Asset.find({ user: user._id }),
+    MarginPosition.find({ user: user._id, status: 'OPEN' }),
+  ]);
+
+  const holdings = assets.map((a) => {
+    const price = prices.has(a.crypto) ? prices.get(a.crypto) : (a.averagePrice || 0);
+    return { symbol: a.crypto, quantity: a.amount, price, value: a.amount * price };
+  });
+  const holdingsValue = holdings.reduce((sum, h) => sum + h.value, 0);
+  const marginValue = positions.reduce((sum, p) => sum + p.margin + (p.unrealizedPnl || 0), 0);
+  const cash = user.balance || 0;
+
+  return {
+    user: user._id,
+    takenAt: new Date(),
+    cash,
+    holdingsValue,
+    marginValue,
+    equity: cash + holdingsValue + marginValue,
+    holdings,
+    prices,
+  };
+}
+
+/**
+ * Records a snapshot for every user.
+ * @returns {Promise<number>} The number of snapshots written.
+ */
+async function takeSnapshots() {
+  const prices = await loadPrices();
+  let count = 0;
+
+  for await (const user of User.find({}).select('_id balance').cursor()) {
+    try {
+      await EquitySnapshot.create(await valueAccount(user, prices));
+      count += 1;
+    } catch (err) {
+      console.error(`[EquitySnapshots] Failed to snapshot user ${user._id}:`, err.message);
+    }
+  }
+  return count;
+}
+
+function start(options = {}) {
+  const intervalMs = parseInt(process.env.EQUITY_SNAPSHOT_INTERVAL_MS || options.intervalMs || '900000', 10);
+
+  if (intervalHandle) clearInterval(intervalHandle);
+  intervalHandle = setInterval(() => {
+    takeSnapshots().catch((err) => console.error('Equity snapshot error', err));
+  }, intervalMs);
+
+  console.log(`Equity snapshot job started: interval=${intervalMs}ms`);
+}
+
+function stop() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, takeSnapshots, valueAccount, loadPrices };
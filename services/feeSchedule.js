@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const FeeSchedule = require('../models/FeeSchedule');
+const Transaction = require('../models/Transaction');
+
+const VOLUME_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Used until an admin saves a schedule of their own
+const DEFAULT_TIERS = [
+  { minVolume: 0, makerRate: 0.008, takerRate: 0.01 },
+  { minVolume: 100000, makerRate: 0.006, takerRate: 0.008 },
+  { minVolume: 1000000, makerRate: 0.004, takerRate: 0.006 },
+];
+
+/**
+ * Returns the current fee schedule, falling back to the built-in defaults.
+ * @param {object} [session] - Optional mongoose session.
+ * @returns {Promise<object>} An object with a `tiers` array sorted by minVolume.
+ */
+async function getSchedule(session = null) {
+  const doc = await FeeSchedule.findOne({ key: 'default' }).session(session).lean();
+  if (!doc) return { tiers: DEFAULT_TIERS, updatedBy: null, updatedAt: null };
+  return { ...doc, tiers: [...doc.tiers].sort((a, b) => a.minVolume - b.minVolume) };
+}
+
+/**
+ * Validates a list of fee tiers.
+ * @param {Array} tiers - The tiers to validate.
+ * @returns {string|null} An error message, or null if the tiers are valid.
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return 'tiers must be a non-empty array';
+  for (const tier of tiers) {
+    if (!tier || typeof tier.minVolume !== 'number' || tier.minVolume < 0) return 'Each tier needs a non-negative minVolume';
+    for (const field of ['makerRate', 'takerRate']) {
+      if (typeof tier[field] !== 'number' || tier[field] < 0 || tier[field] >= 1) return `Each tier needs a ${field} between 0 and 1`;
+    }
+  }
+  const volumes = tiers.map((t) => t.minVolume);
+  if (!volumes.includes(0)) return 'One tier must start at minVolume 0';
+  if (new Set(volumes).size !== volumes.length) return 'Tier minVolume values must be unique';
+  return null;
+}
+
+/**
+ * Replaces the fee schedule.
+ * @param {Array} tiers - The new tiers (already validated).
+ * @param {string} updatedBy - The admin making the change.
+ * @returns {Promise<object>} The saved schedule.
+ */
+async function updateSchedule(tiers, updatedBy) {
+  const sorted = [...tiers]
+    .map(({ minVolume, makerRate, takerRate }) => ({ minVolume, makerRate, takerRate }))
+    .sort((a, b) => a.minVolume - b.minVolume);
+  return FeeSchedule.findOneAndUpdate(
+    { key: 'default' },
+    { tiers: sorted, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/**
+ * Sums the user's traded notional over the trailing 30 days.
+ * @param {string} userId - The user ID.
+ * @param {object} [session] - Optional mongoose session.
+ * @returns {Promise<number>}
+ */
+async function getTrailingVolume(userId, session = null) {
+  const since = new Date(Date.now() - VOLUME_WINDOW_MS);
+  // Summed in the database on the { user, type, date } index rather than loading every trade
+  const [totals] = await Transaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), type: 'trade', date: { $gte: since } } },
+    { $group: { _id: null, volume: { $sum: { $abs: '$amount' } } } },
+  ]).session(session);
+  return totals ? totals.volume : 0;
+}
+
+/**
+ * Works out the fee for a fill from the user's volume tier.
+ * @param {object} params - The fee parameters.
+ * @param {string} params.userId - The user ID.
+ * @param {number} params.notional - The fill's notional value.
+ * @param {string} params.liquidity - 'MAKER' for fills that rested on the book, otherwise 'TAKER'.
+ * @param {object} [params.session] - Optional mongoose session.
+ * @returns {Promise<{fee: number, feeRate: number, liquidity: string}>}
+ */
+async function calculateFee({ userId, notional, liquidity = 'TAKER', session = null }) {
+  // Sequential on purpose: a transaction session cannot run operations in parallel
+  const schedule = await getSchedule(session);
+  const volume = await getTrailingVolume(userId, session);
+  const tier = schedule.tiers.filter((t) => t.minVolume <= volume).pop() || schedule.tiers[0];
+  const feeRate = liquidity === 'MAKER' ? tier.makerRate : tier.takerRate;
+  return { fee: +(notional * feeRate).toFixed(2), feeRate, liquidity };
+}
+
+module.exports = { getSchedule, validateTiers, updateSchedule, getTrailingVolume, calculateFee, DEFAULT_TIERS };
@@ -0,0 +1,272 @@
+const Asset = require('../models/Asset');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const MarginPosition = require('../models/MarginPosition');
+const { calculateManipulatedPrice, curveConfig, coolDownOf, coolDownPrice } = require('../utils/priceManipulation');
+const { RESTING_STATUSES, isMarketable, isStopCrossed, trailStop } = require('./orderExecutor');
+const { pnlAt, marginStatus } = require('./marginEngine');
+const manipulationQueue = require('./manipulationQueue');
+const tradingRules = require('../utils/tradingRules');
+
+const DEFAULT_SAMPLES = 200;
+const MAX_SAMPLES = 1000;
+
+const round = (value) => Number(value.toFixed(8));
+
+/**
+ * Evenly spaced times from `from` to `to` (both included), plus any breakpoints between them.
+ * @param {number} from - Start, in ms.
+ * @param {number} to - End, in ms.
+ * @param {number} count - Number of even intervals.
+ * @param {Array<number>} [breakpoints] - Times where the curve changes direction or jumps.
+ * @returns {Array<number>} Sorted, without duplicates.
+ */
+function sampleTimes(from, to, count, breakpoints = []) {
+  const times = new Set();
+  for (let i = 0; i <= count; i += 1) times.add(Math.round(from + ((to - from) * i) / count));
+  for (const time of breakpoints) {
+    if (time > from && time < to) times.add(Math.round(time));
+  }
+  return [...times].sort((a, b) => a - b);
+}
+
+/**
+ * The market price of a symbol, without any manipulation running on it: a running manipulation
+ * started from the market price, which is assumed not to have moved since.
+ * @param {object|null} doc - The symbol's MarketPrice document (lean).
+ * @param {object} listing - The Symbol document.
+ * @returns {number|undefined}
+ */
+function marketPriceOf(doc, listing) {
+  if (!doc) return listing.initialPrice;
+  const manip = doc.manipulation;
+  if (manip && (manip.isActive || manip.isCoolingDown) && typeof manip.originalPrice === 'number') return manip.originalPrice;
+  return doc.price;
+}
+
+/**
+ * Where the symbol's queue leaves a new manipulation: the price it starts from (mid-way through the
+ * cool-down of the entry queued before it, if that cool-down is still running) and when its own
+ * cool-down is cut short by the entry queued after it.
+ * @param {object} fields - The validated manipulation (utils/manipulationValidation).
+ * @param {number} marketPrice - From marketPriceOf.
+ * @param {Date} now - The current time.
+ * @returns {Promise<{startPrice: number, coolDownEndTime: number, previous: (object|null), next: (object|null)}>}
+ */
+async function queueContext(fields, marketPrice, now) {
+  const queued = await manipulationQueue.listQueue(fields.symbol);
+  const start = fields.startTime.getTime();
+  const end = fields.endTime.getTime();
+  const activation = Math.max(start, now.getTime());
+
+  const ahead = queued.filter((entry) => entry.startTime.getTime() < start);
+  const previous = ahead.length > 0 ? ahead[ahead.length - 1] : null;
+  const next = queued.find((entry) => entry.startTime.getTime() >= end) || null;
+
+  let startPrice = marketPrice;
+  const previousCoolDown = previous && coolDownOf(previous);
+  if (previousCoolDown && activation >= previousCoolDown.startTime && activation < previousCoolDown.endTime) {
+    startPrice = coolDownPrice(previousCoolDown, activation, marketPrice);
+  }
+
+  const fullCoolDownEnd = end + fields.durationMs / 2;
+  const coolDownEndTime = next ? Math.min(fullCoolDownEnd, next.startTime.getTime()) : fullCoolDownEnd;
+  return { startPrice, coolDownEndTime, previous, next };
+}
+
+/**
+ * Projects the prices a manipulation would publish, the way priceUpdater.tick computes them:
+ * along its curve from the price it starts at, then a cool-down back to the market price until
+ * the cool-down ends or the next queued manipulation starts. The tick's small volatility is left
+ * out, and the market price is assumed to stay at `marketPrice`.
+ * @param {object} fields - The validated manipulation (utils/manipulationValidation).
+ * @param {object} context - { startPrice, marketPrice, coolDownEndTime } (from queueContext).
+ * @param {object} [options] - { samples, now }: number of points per phase and the current time.
+ * @returns {{path: Array<{time: Date, price: number, phase: string}>, coolDownEndTime: Date}}
+ */
+function projectPath(fields, { startPrice, marketPrice, coolDownEndTime }, { samples = DEFAULT_SAMPLES, now = new Date() } = {}) {
+  const config = curveConfig({ ...fields, originalPrice: startPrice });
+  const start = fields.startTime.getTime();
+  const end = fields.endTime.getTime();
+
+  // Curve corners, so a sampled path does not cut through a waypoint or skip a step
+  const breakpoints = [];
+  if (fields.curve === 'WAYPOINTS') breakpoints.push(...fields.waypoints.map(({ at }) => start + at * fields.durationMs));
+  if (fields.curve === 'STEP') {
+    for (let i = 1; i < fields.steps; i += 1) breakpoints.push(start + (i * fields.durationMs) / fields.steps);
+  }
+
+  // A window that has already opened starts on the next tick, part-way along its curve
+  const activation = Math.max(start, now.getTime());
+  const path = sampleTimes(activation, end, samples, breakpoints)
+    .filter((time) => time < end)
+    .map((time) => ({ time, price: calculateManipulatedPrice(config, time - start), phase: 'MANIPULATION' }));
+
+  // The cool-down keeps its full-length curve even when the next entry cuts it short
+  const coolDown = { startTime: end, endTime: end + fields.durationMs / 2, from: fields.endValue };
+  for (const time of sampleTimes(end, coolDownEndTime, Math.max(1, Math.ceil(samples / 2)))) {
+    path.push({ time, price: coolDownPrice(coolDown, time, marketPrice), phase: 'COOL_DOWN' });
+  }
+
+  return {
+    path: path.map((point) => ({ ...point, time: new Date(point.time), price: round(point.price) })),
+    coolDownEndTime: new Date(coolDownEndTime),
+  };
+}
+
+/**
+ * Walks the open conditional orders of a symbol along a projected path and reports the first
+ * point at which each would trigger (ACTIVE stops) or fill (limits, and triggered or partially
+ * filled orders resting on the book). Orders are copied, never saved.
+ * Once one leg of an OCO acts, the other is canceled and no longer followed.
+ * @param {Array<object>} orders - The open orders (lean).
+ * @param {Array<object>} path - From projectPath.
+ * @param {object} rules - The symbol's trading rules (utils/tradingRules).
+ * @returns {Array<object>}
+ */
+function findTriggers(orders, path, rules) {
+  const triggers = [];
+  const settledPairs = new Set();
+  const open = orders.map((order) => ({ ...order }));
+
+  for (const point of path) {
+    for (const order of open) {
+      if (order.done) continue;
+      const pairId = order.ocoPair && order.ocoPair.stopOrderId ? String(order.ocoPair.stopOrderId) : null;
+      if ((pairId && settledPairs.has(pairId)) || (order.expireAt && order.expireAt <= point.time)) {
+        order.done = true;
+        continue;
+      }
+
+      let event = null;
+      if (RESTING_STATUSES.includes(order.status) || order.type === 'LIMIT' || order.ocoLeg === 'LIMIT') {
+        if (isMarketable(order, point.price)) event = 'FILL';
+      } else {
+        if (order.type === 'TRAILING_STOP') Object.assign(order, trailStop(order, point.price, rules));
+        if (isStopCrossed(order, point.price)) event = 'TRIGGER';
+      }
+      if (!event) continue;
+
+      order.done = true;
+      if (pairId) settledPairs.add(pairId);
+      triggers.push({
+        orderId: order._id,
+        user: order.user,
+        type: order.type,
+        status: order.status,
+        side: order.side,
+        ocoLeg: order.ocoLeg,
+        amount: Math.max(0, order.amount - (order.filledAmount || 0)),
+        limitPrice: order.limitPrice,
+        stopPrice: order.stopPrice,
+        event,
+        time: point.time,
+        price: point.price,
+        phase: point.phase,
+      });
+    }
+  }
+
+  return triggers.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Aggregate mark-to-market of users' holdings in a symbol along a projected path: spot balances
+ * and open margin positions, valued at the market price, at the manipulation's end value and at the
+ * path's extremes. Margin positions whose maintenance would be breached are listed with the first
+ * point they would be liquidated at.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} marketPrice - The unmanipulated market price the changes are measured from.
+ * @param {number} endValue - The manipulation's end value.
+ * @param {Array<object>} path - From projectPath.
+ * @returns {Promise<object>}
+ */
+async function markToMarket(symbol, marketPrice, endValue, path) {
+  const [[spot = { quantity: 0, holders: 0 }], positions] = await Promise.all([
+    Asset.aggregate([
+      { $match: { crypto: symbol, amount: { $gt: 0 } } },
+      { $group: { _id: null, quantity: { $sum: '$amount' }, holders: { $sum: 1 } } },
+    ]),
+    MarginPosition.find({ symbol, status: 'OPEN' }).lean(),
+  ]);
+
+  const prices = path.map((point) => point.price);
+  const low = Math.min(marketPrice, ...prices);
+  const high = Math.max(marketPrice, ...prices);
+  const spotValue = (price) => round(spot.quantity * price);
+  const marginPnl = (price) => round(positions.reduce((sum, position) => sum + pnlAt(position, price), 0));
+  const netChange = (price) => round(spotValue(price) - spotValue(marketPrice) + marginPnl(price) - marginPnl(marketPrice));
+
+  const liquidations = [];
+  for (const position of positions) {
+    const point = path.find(({ price }) => marginStatus(position, price).breached);
+    if (point) {
+      liquidations.push({
+        positionId: position._id,
+        user: position.user,
+        side: position.side,
+        quantity: position.quantity,
+        liquidationPrice: position.liquidationPrice,
+        time: point.time,
+        price: point.price,
+      });
+    }
+  }
+
+  return {
+    spot: {
+      holders: spot.holders,
+      quantity: spot.quantity,
+      valueAtMarket: spotValue(marketPrice),
+      valueAtEnd: spotValue(endValue),
+      minValue: spotValue(low),
+      maxValue: spotValue(high),
+    },
+    margin: {
+      positions: positions.length,
+      unrealizedPnlAtMarket: marginPnl(marketPrice),
+      unrealizedPnlAtEnd: marginPnl(endValue),
+      liquidations,
+    },
+    // Combined change in value from the market price
+    netChangeAtEnd: netChange(endValue),
+    netChangeAtLow: netChange(low),
+    netChangeAtHigh: netChange(high),
+  };
+}
+
+/**
+ * Previews a manipulation without persisting anything: the projected price path, the open
+ * orders it would trigger or fill and its mark-to-market effect on holdings. The path starts
+ * where the symbol's queue leaves it (see queueContext).
+ * @param {object} fields - The validated manipulation (utils/manipulationValidation).
+ * @param {object} listing - The Symbol document.
+ * @param {object|null} doc - The symbol's MarketPrice document (lean).
+ * @param {object} [options] - { samples, now }.
+ * @returns {Promise<object|null>} Null if the symbol has no price yet.
+ */
+async function preview(fields, listing, doc, { samples = DEFAULT_SAMPLES, now = new Date() } = {}) {
+  const marketPrice = marketPriceOf(doc, listing);
+  if (!marketPrice) return null;
+  const { startPrice, coolDownEndTime, previous, next } = await queueContext(fields, marketPrice, now);
+  const { path } = projectPath(fields, { startPrice, marketPrice, coolDownEndTime }, { samples, now });
+
+  // A paused symbol triggers no orders, as in the live tick
+  const halted = listing.status !== 'TRADING';
+  const orders = halted ? [] : await ConditionalOrder.find({ symbol: fields.symbol, status: { $in: ['ACTIVE', ...RESTING_STATUSES] } }).lean();
+
+  return {
+    symbol: fields.symbol,
+    marketPrice,
+    startPrice,
+    coolDownEndTime: new Date(coolDownEndTime),
+    // The queued entries this one would start after and cut short
+    previous: previous ? previous._id : null,
+    next: next ? next._id : null,
+    halted,
+    path,
+    triggers: findTriggers(orders, path, tradingRules.rulesOf(listing)),
+    markToMarket: await markToMarket(fields.symbol, marketPrice, fields.endValue, path),
+  };
+}
+
+module.exports = { DEFAULT_SAMPLES, MAX_SAMPLES, projectPath, findTriggers, markToMarket, preview };
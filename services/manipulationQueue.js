@@ -0,0 +1,193 @@
+const Manipulation = require('../models/Manipulation');
+const MarketPrice = require('../models/MarketPrice');
+
+// Entries still in a symbol's queue: waiting, running, or easing back to the market price
+const QUEUED_STATUSES = ['SCHEDULED', 'ACTIVE', 'COOLING_DOWN'];
+
+/**
+ * Finds a queued manipulation of the same symbol whose window overlaps the given one.
+ * @param {object} window - { symbol, startTime, endTime }.
+ * @returns {Promise<object|null>} The first overlapping entry, if any.
+ */
+async function findOverlap({ symbol, startTime, endTime }) {
+  return Manipulation.findOne({
+    symbol,
+    status: { $in: QUEUED_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+  }).sort({ startTime: 1 }).lean();
+}
+
+/**
+ * Lists queued manipulations in start order.
+ * @param {string} [symbol] - Only this symbol's queue.
+ * @returns {Promise<Array>}
+ */
+async function listQueue(symbol) {
+  const filter = { status: { $in: QUEUED_STATUSES } };
+  if (symbol) filter.symbol = symbol;
+  return Manipulation.find(filter).sort({ symbol: 1, startTime: 1 }).lean();
+}
+
+/**
+ * The fields recording who canceled a manipulation, and when.
+ * @param {{userId: string, username: string}} admin - The admin canceling it.
+ * @param {Date} now - The cancel time.
+ * @returns {object}
+ */
+function cancelFields(admin, now) {
+  return { outcome: 'CANCELED', canceledAt: now, canceledByUserId: admin.userId, canceledByUsername: admin.username };
+}
+
+/**
+ * Cancels a manipulation that has not started yet.
+ * @param {string} id - The manipulation ID.
+ * @param {{userId: string, username: string}} admin - The admin canceling it.
+ * @returns {Promise<{entry: (object|null), reason: (string|undefined)}>} The canceled entry, or null
+ *   with 'not_found' or 'not_scheduled' as the reason.
+ */
+async function cancelScheduled(id, admin) {
+  const entry = await Manipulation.findOneAndUpdate(
+    { _id: id, status: 'SCHEDULED' },
+    { status: 'CANCELED', ...cancelFields(admin, new Date()) },
+    { new: true }
+  );
+  if (entry) return { entry };
+  return { entry: null, reason: (await Manipulation.exists({ _id: id })) ? 'not_scheduled' : 'not_found' };
+}
+
+/**
+ * Stops the manipulation running on a symbol and starts its cool-down from the current price.
+ * The cool-down lasts half as long as the window ran, as a full window cools down for half its duration.
+ * @param {string} symbol - The trading symbol.
+ * @param {{userId: string, username: string}} admin - The admin canceling it.
+ * @param {Date} [now] - The cancel time.
+ * @returns {Promise<{doc: object, entry: (object|null)}|null>} The MarketPrice document and the
+ *   canceled entry, or null if no manipulation is running on the symbol (or it ended meanwhile).
+ */
+async function cancelActive(symbol, admin, now = new Date()) {
+  const current = await MarketPrice.findOne({ symbol, 'manipulation.isActive': true }).lean();
+  if (!current) return null;
+
+  const manip = current.manipulation;
+  const ranMs = Math.max(0, now - new Date(manip.startTime));
+  const coolDown = {
+    coolDownStartTime: now,
+    coolDownEndTime: new Date(now.getTime() + ranMs / 2),
+    coolDownFrom: current.price,
+  };
+  // Conditional on the entry read above, so a window the tick has just ended or replaced is left alone
+  const doc = await MarketPrice.findOneAndUpdate(
+    { symbol, 'manipulation.isActive': true, 'manipulation.manipulationId': manip.manipulationId || null },
+    {
+      $set: {
+        'manipulation.isActive': false,
+        'manipulation.isCoolingDown': true,
+        'manipulation.coolDownStartTime': coolDown.coolDownStartTime,
+        'manipulation.coolDownEndTime': coolDown.coolDownEndTime,
+        'manipulation.coolDownFrom': coolDown.coolDownFrom,
+      },
+    },
+    { new: true }
+  );
+  if (!doc) return null;
+
+  const entry = manip.manipulationId
+    ? await Manipulation.findOneAndUpdate(
+      { _id: manip.manipulationId, status: 'ACTIVE' },
+      { status: 'COOLING_DOWN', actualEndTime: now, ...coolDown, ...cancelFields(admin, now) },
+      { new: true }
+    ).lean()
+    : null;
+  console.log(`Price manipulation for ${symbol} canceled by ${admin.username}. Cooling down until ${coolDown.coolDownEndTime.toISOString()}.`);
+  return { doc, entry };
+}
+
+/**
+ * Scheduled manipulations whose start time has come, per symbol, earliest first.
+ * @param {Array<string>} symbols - The symbols being ticked.
+ * @param {Date} now - The tick time.
+ * @returns {Promise<Map<string, Array>>}
+ */
+async function dueEntries(symbols, now) {
+  const due = await Manipulation.find({ symbol: { $in: symbols }, status: 'SCHEDULED', startTime: { $lte: now } })
+    .sort({ startTime: 1 })
+    .lean();
+  const bySymbol = new Map();
+  for (const entry of due) {
+    if (!bySymbol.has(entry.symbol)) bySymbol.set(entry.symbol, []);
+    bySymbol.get(entry.symbol).push(entry);
+  }
+  return bySymbol;
+}
+
+/**
+ * Moves a queued manipulation to a new status. A no-op for state that did not come from the queue.
+ * @param {object} [id] - The manipulation ID.
+ * @param {string} status - The new status.
+ * @param {object} [fields] - Other fields to record, such as actualEndTime and outcome.
+ * @param {Array<string>} [from] - Only move it from these statuses.
+ * @returns {Promise<void>}
+ */
+async function setStatus(id, status, fields = {}, from = QUEUED_STATUSES) {
+  if (!id) return;
+  await Manipulation.updateOne({ _id: id, status: { $in: from } }, { ...fields, status });
+}
+
+/**
+ * Starts the first due manipulation on a MarketPrice document, from its current published price.
+ * Entries whose window has already passed are marked MISSED. Any manipulation still cooling down
+ * on the document is completed early, so back-to-back windows run without a gap.
+ * @param {object} doc - The MarketPrice document (saved by the caller).
+ * @param {Array} due - The symbol's due entries, earliest first.
+ * @param {Date} now - The tick time.
+ * @returns {Promise<object|null>} The started entry, if any.
+ */
+async function startNext(doc, due, now) {
+  for (const entry of due) {
+    if (entry.endTime <= now) {
+      await Manipulation.updateOne({ _id: entry._id, status: 'SCHEDULED' }, { status: 'MISSED', outcome: 'MISSED' });
+      continue;
+    }
+    // Claimed atomically, so an entry canceled since it was loaded is not started
+    const started = await Manipulation.findOneAndUpdate(
+      { _id: entry._id, status: 'SCHEDULED' },
+      { status: 'ACTIVE', originalPrice: doc.price, activatedAt: now },
+      { new: true }
+    ).lean();
+    if (!started) continue;
+
+    // A cool-down cut short ends now, which its record keeps for chart replay
+    if (doc.manipulation) await setStatus(doc.manipulation.manipulationId, 'COMPLETED', { coolDownEndTime: now });
+    doc.manipulation = {
+      startTime: started.startTime,
+      endTime: started.endTime,
+      endValue: started.endValue,
+      durationMs: started.durationMs,
+      originalPrice: started.originalPrice,
+      adminUserId: started.adminUserId,
+      adminUsername: started.adminUsername,
+      manipulationId: started._id,
+      curve: started.curve,
+      steps: started.steps,
+      waypoints: started.waypoints,
+      noiseSeed: started.noiseSeed,
+      isActive: true,
+      isCoolingDown: false,
+    };
+    console.log(`Price manipulation ${started._id} for ${doc.symbol} started (${started.curve} to ${started.endValue}).`);
+    return started;
+  }
+  return null;
+}
+
+module.exports = {
+  QUEUED_STATUSES,
+  findOverlap,
+  listQueue,
+  cancelScheduled,
+  cancelActive,
+  dueEntries,
+  setStatus,
+  startNext,
+};
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const MarketPrice = require('../models/MarketPrice');
+const MarginPosition = require('../models/MarginPosition');
+const MarginSetting = require('../models/MarginSetting');
+const Liquidation = require('../models/Liquidation');
+const feeSchedule = require('./feeSchedule');
+const privateEvents = require('./privateEvents');
+const marketStream = require('./marketStream');
+const candleStore = require('./candleStore');
+const symbols = require('./symbols');
+const tradingRules = require('../utils/tradingRules');
+const { availableBalanceExpr } = require('./reservations');
+const { TradeError } = require('../utils/tradeError');
+
+// Used for symbols an admin has not configured
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  maxLeverage: parseFloat(process.env.MARGIN_DEFAULT_MAX_LEVERAGE || '10'),
+  maintenanceMarginRate: parseFloat(process.env.MARGIN_DEFAULT_MAINTENANCE_RATE || '0.005'),
+};
+
+/**
+ * Returns the margin settings for a symbol, falling back to the defaults.
+ * @param {string} symbol - The trading symbol.
+ * @param {object} [session] - Optional mongoose session.
+ * @returns {Promise<object>}
+ */
+async function getSettings(symbol, session = null) {
+  const doc = await MarginSetting.findOne({ symbol }).session(session).lean();
+  return { symbol, ...DEFAULT_SETTINGS, ...(doc || {}) };
+}
+
+/**
+ * Profit or loss of a position at a given price.
+ * @param {object} position - The position (side, quantity, entryPrice).
+ * @param {number} price - The mark price.
+ * @returns {number}
+ */
+function pnlAt(position, price) {
+  const direction = position.side === 'LONG' ? 1 : -1;
+  return (price - position.entryPrice) * position.quantity * direction;
+}
+
+/**
+ * The mark price at which equity falls to the maintenance requirement.
+ * @param {object} position - The position (side, quantity, entryPrice, margin, maintenanceMarginRate).
+ * @returns {number}
+ */
+function liquidationPriceFor({ side, quantity, entryPrice, margin, maintenanceMarginRate: mmr }) {
+  const price = side === 'LONG'
+    ? (entryPrice * quantity - margin) / (quantity * (1 - mmr))
+    : (entryPrice * quantity + margin) / (quantity * (1 + mmr));
+  return Math.max(0, price);
+}
+
+/**
+ * Equity and maintenance requirement of a position at a given price.
+ * @param {object} position - The position document.
+ * @param {number} price - The mark price.
+ * @returns {{equity: number, requirement: number, breached: boolean}}
+ */
+function marginStatus(position, price) {
+  const equity = position.margin + pnlAt(position, price);
+  const requirement = position.maintenanceMarginRate * position.quantity * price;
+  return { equity, requirement, breached: equity <= requirement };
+}
+
+/**
+ * Announces a committed margin trade the way `tradeEngine.executeFill` announces a fill: to its
+ * owner as a fill and a balance change, and to the market as a trade with candle volume.
+ * @param {object} user - The user document after the trade.
+ * @param {object} tx - The margin ledger entry of the trade.
+ * @param {string} reason - The balance change reason, 'margin' or 'liquidation'.
+ */
+function announceTrade(user, tx, reason) {
+  const fill = {
+    tradeId: tx._id,
+    symbol: tx.symbol,
+    side: tx.side,
+    quantity: tx.quantity,
+    price: tx.price,
+    total: tx.quantity * tx.price,
+    fee: tx.fee,
+    feeRate: tx.feeRate,
+    liquidity: tx.liquidity,
+    source: tx.source,
+    positionId: tx.position,
+    newBalance: user.balance,
+    timestamp: tx.date,
+    order: null,
+  };
+  privateEvents.fillExecuted(user._id, fill);
+  privateEvents.balanceChanged(user, reason);
+  marketStream.publishTrade(fill);
+  candleStore.recordTrade(fill.symbol, fill.quantity, fill.timestamp)
+    .catch((err) => console.error(`Candle volume error for ${fill.symbol}:`, err.message));
+}
+
+/**
+ * Opens a leveraged long or short position at the current market price.
+ * The margin (notional / leverage) plus the taker fee is taken from the available balance.
+ * @param {object} params - The position parameters.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.symbol - The trading symbol.
+ * @param {string} params.side - 'LONG' or 'SHORT'.
+ * @param {number} params.quantity - The position size in the base asset, rounded down to the step size.
+ * @param {number} params.leverage - The leverage, up to the symbol's maximum.
+ * @returns {Promise<object>} The opened position.
+ */
+async function openPosition({ userId, symbol, side, quantity: requested, leverage }) {
+  const rules = tradingRules.rulesOf(await symbols.assertTradable(symbol));
+  const quantity = tradingRules.roundQuantity(requested, rules);
+  const session = await mongoose.startSession();
+  let position;
+  let user;
+  let tx;
+
+  try {
+    await session.withTransaction(async () => {
+      const settings = await getSettings(symbol, session);
+      if (!settings.enabled) throw new TradeError(`Margin trading is disabled for ${symbol}`);
+      if (leverage > settings.maxLeverage) throw new TradeError(`Maximum leverage for ${symbol} is ${settings.maxLeverage}x`);
+
+      const marketPrice = await MarketPrice.findOne({ symbol }).session(session);
+      if (!marketPrice) throw new TradeError('Symbol not found', 404);
+      const price = marketPrice.price;
+      tradingRules.assertQuantity(rules, quantity, price, 'quantity');
+
+      const notional = quantity * price;
+      const margin = notional / leverage;
+      const { fee, feeRate } = await feeSchedule.calculateFee({ userId, notional, liquidity: 'TAKER', session });
+      const cost = margin + fee;
+
+      user = await User.findOneAndUpdate(
+        { _id: userId, $expr: { $gte: [availableBalanceExpr, cost] } },
+        { $inc: { balance: -cost } },
+        { new: true, session }
+      );
+      if (!user) throw new TradeError('Insufficient available balance for margin');
+
+      position = new MarginPosition({
+        user: userId,
+        symbol,
+        side,
+        quantity,
+        entryPrice: price,
+        leverage,
+        margin,
+        borrowed: notional - margin,
+        maintenanceMarginRate: settings.maintenanceMarginRate,
+        markPrice: price,
+      });
+      position.liquidationPrice = liquidationPriceFor(position);
+      await position.save({ session });
+
+      tx = new Transaction({
+        user: userId,
+        type: 'margin',
+        amount: -margin,
+        symbol,
+        side: side === 'LONG' ? 'BUY' : 'SELL',
+        quantity,
+        price,
+        fee,
+        feeRate,
+        liquidity: 'TAKER',
+        source: 'MARGIN',
+        position: position._id,
+      });
+      await tx.save({ session });
+      if (fee > 0) {
+        await new Transaction({ user: userId, type: 'fee', amount: -fee, symbol, trade: tx._id }).save({ session });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  announceTrade(user, tx, 'margin');
+  return position;
+}
+
+/**
+ * Closes a position inside the running transaction and settles it against the balance.
+ * The user gets back margin + PnL - fee, never less than zero; any shortfall is a deficit.
+ * @param {object} position - The open position (loaded in `session`).
+ * @param {number} price - The exit price.
+ * @param {string} status - 'CLOSED' or 'LIQUIDATED'.
+ * @param {object} session - The mongoose session.
+ * @returns {Promise<{pnl: number, fee: number, payout: number, deficit: number, equity: number, user: object, tx: object}>}
+ */
+async function settlePosition(position, price, status, session) {
+  const pnl = pnlAt(position, price);
+  const equity = position.margin + pnl;
+  const notional = position.quantity * price;
+  const { fee: fullFee, feeRate } = await feeSchedule.calculateFee({ userId: position.user, notional, liquidity: 'TAKER', session });
+  const fee = Math.min(fullFee, Math.max(equity, 0));
+  const payout = Math.max(equity - fee, 0);
+  const deficit = Math.max(-equity, 0);
+
+  position.status = status;
+  position.exitPrice = price;
+  position.markPrice = price;
+  position.unrealizedPnl = 0;
+  position.realizedPnl = pnl;
+  position.closedAt = new Date();
+  await position.save({ session });
+
+  const user = await User.findOneAndUpdate({ _id: position.user }, { $inc: { balance: payout } }, { new: true, session });
+
+  // The margin row carries the proceeds before the fee, which the fee row then debits,
+  // so the two rows add up to the payout credited to the balance
+  const tx = new Transaction({
+    user: position.user,
+    type: 'margin',
+    amount: payout + fee,
+    symbol: position.symbol,
+    side: position.side === 'LONG' ? 'SELL' : 'BUY',
+    quantity: position.quantity,
+    price,
+    fee,
+    feeRate,
+    liquidity: 'TAKER',
+    source: status === 'LIQUIDATED' ? 'LIQUIDATION' : 'MARGIN',
+    position: position._id,
+  });
+  await tx.save({ session });
+  if (fee > 0) {
+    await new Transaction({ user: position.user, type: 'fee', amount: -fee, symbol: position.symbol, trade: tx._id }).save({ session });
+  }
+
+  return { pnl, fee, payout, deficit, equity, user, tx };
+}
+
+/**
+ * Closes an open position at the current market price on the user's request.
+ * @param {string} positionId - The position ID.
+ * @param {string} userId - The owner.
+ * @returns {Promise<object>} The closed position.
+ */
+async function closePosition(positionId, userId) {
+  const session = await mongoose.startSession();
+  let position;
+  let settlement;
+
+  try {
+    await session.withTransaction(async () => {
+      position = await MarginPosition.findOne({ _id: positionId, user: userId }).session(session);
+      if (!position) throw new TradeError('Position not found.', 404);
+      if (position.status !== 'OPEN') throw new TradeError('Only open positions can be closed.');
+
+      const marketPrice = await MarketPrice.findOne({ symbol: position.symbol }).session(session);
+      if (!marketPrice) throw new TradeError('Symbol not found', 404);
+      settlement = await settlePosition(position, marketPrice.price, 'CLOSED', session);
+    });
+  } finally {
+    session.endSession();
+  }
+
+  announceTrade(settlement.user, settlement.tx, 'margin');
+  return position;
+}
+
+/**
+ * Force-closes a position whose equity fell below maintenance and writes a liquidation record.
+ * Re-checks the breach inside the transaction, so a position closed or re-marked meanwhile is left alone.
+ * @param {string} positionId - The position ID.
+ * @param {number} price - The mark price that breached maintenance.
+ * @returns {Promise<object|null>} The liquidation record, or null if nothing was liquidated.
+ */
+async function liquidatePosition(positionId, price) {
+  const session = await mongoose.startSession();
+  let record = null;
+  let settlement = null;
+
+  try {
+    await session.withTransaction(async () => {
+      record = null;
+      settlement = null;
+      const position = await MarginPosition.findById(positionId).session(session);
+      if (!position || position.status !== 'OPEN') return;
+      const { breached, requirement } = marginStatus(position, price);
+      if (!breached) return;
+
+      settlement = await settlePosition(position, price, 'LIQUIDATED', session);
+      const { payout, deficit, equity } = settlement;
+      record = new Liquidation({
+        user: position.user,
+        position: position._id,
+        symbol: position.symbol,
+        side: position.side,
+        quantity: position.quantity,
+        entryPrice: position.entryPrice,
+        markPrice: price,
+        leverage: position.leverage,
+        margin: position.margin,
+        equity,
+        maintenanceRequirement: requirement,
+        payout,
+        deficit,
+      });
+      await record.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  // Liquidations are fills like any other: the owner and the market both see them
+  if (settlement) announceTrade(settlement.user, settlement.tx, 'liquidation');
+  return record;
+}
+
+/**
+ * Marks every open position on a symbol to the new price and returns those that breach maintenance.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} price - The new mark price.
+ * @returns {Promise<Array>} The positions to liquidate.
+ */
+async function markPositions(symbol, price) {
+  const positions = await MarginPosition.find({ symbol, status: 'OPEN' });
+  const breached = [];
+
+  for (const position of positions) {
+    const unrealizedPnl = pnlAt(position, price);
+    // Plain update: marking must not bump the version a concurrent close relies on
+    await MarginPosition.updateOne({ _id: position._id, status: 'OPEN' }, { $set: { markPrice: price, unrealizedPnl } });
+    if (marginStatus(position, price).breached) breached.push(position);
+  }
+
+  return breached;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  pnlAt,
+  marginStatus,
+  liquidationPriceFor,
+  openPosition,
+  closePosition,
+  liquidatePosition,
+  markPositions,
+};
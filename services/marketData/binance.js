@@ -0,0 +1,97 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+
+// Read lazily: this module is loaded before server.js applies .env
+const restUrl = () => process.env.BINANCE_REST_URL || 'https://api.binance.com';
+const streamUrl = () => process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443';
+
+const requestTimeout = () => parseInt(process.env.PRICE_FETCH_TIMEOUT_MS || '5000', 10);
+
+/**
+ * Fetches the last traded price of a symbol.
+ * @param {string} symbol - The trading symbol, e.g. 'BTCUSDT'.
+ * @returns {Promise<number|null>} The price, or null on failure.
+ */
+async function fetchPrice(symbol) {
+  try {
+    const response = await axios.get(`${restUrl()}/api/v3/ticker/price`, {
+      params: { symbol },
+      timeout: requestTimeout(),
+    });
+    if (response.data && response.data.price) {
+      return parseFloat(response.data.price);
+    }
+    return null;
+  } catch (error) {
+    console.error(`Error fetching price for ${symbol} from Binance:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Opens the public trade stream of a symbol.
+ * @param {string} symbol - The trading symbol.
+ * @param {object} handlers - Callbacks.
+ * @param {Function} handlers.onTrade - Called with { price, quantity, time } for every trade.
+ * @param {Function} [handlers.onOpen] - Called once the stream is connected.
+ * @param {Function} [handlers.onClose] - Called when the stream closes for any reason.
+ * @returns {{close: Function}} A handle to close the stream.
+ */
+function streamTrades(symbol, { onTrade, onOpen, onClose }) {
+  const ws = new WebSocket(`${streamUrl()}/ws/${symbol.toLowerCase()}@trade`);
+
+  ws.on('message', (data) => {
+    try {
+      const trade = JSON.parse(data);
+      if (trade && trade.p) {
+        onTrade({ price: parseFloat(trade.p), quantity: parseFloat(trade.q), time: trade.T || Date.now() });
+      }
+    } catch (error) {
+      console.error(`Error processing WebSocket message for ${symbol}:`, error);
+    }
+  });
+
+  ws.on('error', (error) => {
+    console.error(`Binance WebSocket error for ${symbol}:`, error.message);
+  });
+
+  ws.on('close', () => {
+    if (onClose) onClose();
+  });
+
+  ws.on('open', () => {
+    if (onOpen) onOpen();
+  });
+
+  return { close: () => ws.close() };
+}
+
+/**
+ * Fetches historical klines.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - The kline interval, e.g. '1h'.
+ * @param {object} range - { startTime, endTime, limit }.
+ * @returns {Promise<Array|null>} Klines as [openTime, open, high, low, close, volume], or null on failure.
+ */
+async function fetchKlines(symbol, interval, { startTime, limit }) {
+  try {
+    console.log(`[CHARTS] Fetching from Binance API for ${symbol}`);
+    const response = await axios.get(`${restUrl()}/api/v3/klines`, {
+      params: { symbol, interval, limit, startTime },
+      timeout: requestTimeout(),
+    });
+
+    if (response.data && response.data.length > 0) {
+      console.log(`[CHARTS] Fetched ${response.data.length} candles from Binance.`);
+      return response.data;
+    } else {
+      console.log(`[CHARTS] Binance API returned no data for ${symbol}`);
+      return [];
+    }
+  } catch (err) {
+    console.error('[CHARTS] Binance API request failed:', err?.message || err);
+    return null; // Return null on failure
+  }
+}
+
+module.exports = { name: 'binance', fetchPrice, streamTrades, fetchKlines };
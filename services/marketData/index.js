@@ -0,0 +1,90 @@
+/**
+ * Market-data provider layer. A provider is an object with a `name` and any of:
+ * - fetchPrice(symbol) -> Promise<number|null>
+ * - streamTrades(symbol, { onTrade, onOpen, onClose }) -> { close() }
+ * - fetchKlines(symbol, interval, { startTime, endTime, limit }) -> Promise<Array|null>,
+ *   klines as [openTime, open, high, low, close, volume]; null means "unavailable, try the next provider"
+ *
+ * Configuration (read on every call, so it follows .env once loaded):
+ * - PRICE_PROVIDER: provider for spot prices and the trade stream (default 'binance')
+ * - KLINE_PROVIDERS: comma-separated providers tried in order for klines
+ *   (default 'lcw,binance', or 'simulated' when PRICE_PROVIDER is 'simulated')
+ */
+
+const providers = {
+  binance: require('./binance'),
+  lcw: require('./liveCoinWatch'),
+  simulated: require('./simulated'),
+};
+
+/**
+ * Looks up a provider by name.
+ * @param {string} name - The provider name.
+ * @returns {object}
+ * @throws If no provider has that name.
+ */
+function getProvider(name) {
+  const provider = providers[String(name).trim().toLowerCase()];
+  if (!provider) throw new Error(`Unknown market-data provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+  return provider;
+}
+
+/**
+ * The configured provider for spot prices and streaming trades.
+ * @returns {object}
+ */
+function getPriceProvider() {
+  return getProvider(process.env.PRICE_PROVIDER || 'binance');
+}
+
+/**
+ * The configured kline providers, in the order they are tried.
+ * @returns {Array<object>}
+ */
+function getKlineProviders() {
+  const fallback = getPriceProvider().name === 'simulated' ? 'simulated' : 'lcw,binance';
+  return (process.env.KLINE_PROVIDERS || fallback)
+    .split(',')
+    .filter((name) => name.trim())
+    .map(getProvider)
+    .filter((provider) => provider.fetchKlines);
+}
+
+/**
+ * Fetches the current price from the price provider.
+ * @param {string} symbol - The trading symbol.
+ * @returns {Promise<number|null>} The price, or null if unavailable.
+ */
+async function fetchPrice(symbol) {
+  const provider = getPriceProvider();
+  return provider.fetchPrice ? provider.fetchPrice(symbol) : null;
+}
+
+/**
+ * Opens the price provider's trade stream for a symbol.
+ * @param {string} symbol - The trading symbol.
+ * @param {object} handlers - { onTrade, onOpen, onClose }.
+ * @returns {{close: Function}|null} The stream handle, or null if the provider cannot stream.
+ */
+function streamTrades(symbol, handlers) {
+  const provider = getPriceProvider();
+  return provider.streamTrades ? provider.streamTrades(symbol, handlers) : null;
+}
+
+/**
+ * Fetches klines from the first kline provider that has them.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - The kline interval.
+ * @param {object} range - { startTime, endTime, limit }.
+ * @returns {Promise<{provider: string, klines: Array}|null>} The klines and their source, or null if every provider failed.
+ */
+async function fetchKlines(symbol, interval, range) {
+  for (const provider of getKlineProviders()) {
+    const klines = await provider.fetchKlines(symbol, interval, range);
+    // A null response indicates a failure, so we fall back. An empty array is a valid response.
+    if (klines !== null) return { provider: provider.name, klines };
+  }
+  return null;
+}
+
+module.exports = { getProvider, getPriceProvider, getKlineProviders, fetchPrice, streamTrades, fetchKlines };
@@ -0,0 +1,73 @@
+const axios = require('axios');
+
+const LCW_HISTORY_URL = 'https://api.livecoinwatch.com/coins/history';
+
+/**
+ * Fetches kline data from LiveCoinWatch.
+ * @param {string} symbol - The trading symbol, e.g. 'BTCUSDT'.
+ * @param {string} interval - The kline interval, e.g. '1h'.
+ * @param {object} range - { startTime, endTime, limit }.
+ * @returns {Promise<Array|null>} Klines as [openTime, open, high, low, close, volume], or null if
+ * unavailable (no API key, unsupported interval or request failure).
+ */
+async function fetchKlines(symbol, interval, { startTime, endTime }) {
+  const LCW_API_KEY = process.env.LCW_API_KEY;
+  const intervalToSeconds = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600, '4h': 14400, '1d': 86400 };
+  if (!LCW_API_KEY || !intervalToSeconds[interval]) {
+    return null;
+  }
+
+  try {
+    const code = symbol.replace(/USDT$|USD$/i, '');
+    const body = {
+      currency: 'USD',
+      code,
+      start: Math.floor(startTime / 1000),
+      end: Math.floor(endTime / 1000),
+      meta: true,
+    };
+
+    console.log(`[CHARTS] Attempting to fetch from LiveCoinWatch for ${symbol}`);
+    const response = await axios.post(LCW_HISTORY_URL, body, {
+      headers: { 'x-api-key': LCW_API_KEY, 'Content-Type': 'application/json' },
+      timeout: parseInt(process.env.PRICE_FETCH_TIMEOUT_MS || '5000', 10),
+    });
+
+    let payload = response.data?.history || response.data?.data || response.data;
+    if (!payload || !Array.isArray(payload) || payload.length === 0) {
+      console.log(`[CHARTS] LiveCoinWatch returned no data for ${symbol}.`);
+      return [];
+    }
+
+    // Normalize LCW response to Binance kline format: [time, open, high, low, close, volume]
+    const klines = payload.map((item) => {
+      if (Array.isArray(item)) {
+        // Array format: [timestamp, open, high, low, close, volume]
+        const ts = Number(item[0]) < 1e12 ? Number(item[0]) * 1000 : Number(item[0]);
+        return [ts, item[1].toString(), item[2].toString(), item[3].toString(), item[4].toString(), (item[5] || '0').toString()];
+      } else if (typeof item === 'object') {
+        // Object format
+        const tsRaw = item.date || item.time || item.t || item.timestamp;
+        let ts = Number(tsRaw || 0);
+        if (ts && ts < 1e12) ts *= 1000;
+        return [
+          ts,
+          (item.open || item.o || 0).toString(),
+          (item.high || item.h || 0).toString(),
+          (item.low || item.l || 0).toString(),
+          (item.close || item.c || 0).toString(),
+          (item.volume || item.v || 0).toString(),
+        ];
+      }
+      return null;
+    }).filter(Boolean);
+
+    console.log(`[CHARTS] Fetched ${klines.length} candles from LiveCoinWatch.`);
+    return klines;
+  } catch (err) {
+    console.error('[CHARTS] LiveCoinWatch request failed:', err?.message || err);
+    return null; // Return null on failure to trigger fallback
+  }
+}
+
+module.exports = { name: 'lcw', fetchKlines };
@@ -0,0 +1,194 @@
+/**
+ * Fully local market data: a seeded geometric random walk with one step per minute.
+ * The path is a pure function of (seed, symbol, minute), so spot prices, the trade stream and
+ * historical klines agree with each other and are reproducible across restarts. No network.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const INTERVAL_MS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '1d': 24 * 60 * MINUTE_MS,
+  '1w': 7 * 24 * 60 * MINUTE_MS,
+};
+
+const BASE_PRICES = { BTCUSDT: 40000, ETHUSDT: 2500, LTCUSDT: 150 };
+const DEFAULT_BASE_PRICE = 100;
+
+// Read lazily: this module is loaded before server.js applies .env
+const config = () => ({
+  seed: process.env.SIMULATED_SEED || 'crypto-sim',
+  epoch: Date.parse(process.env.SIMULATED_EPOCH || '2024-01-01T00:00:00Z'),
+  volatility: parseFloat(process.env.SIMULATED_VOLATILITY || '0.0004'), // per-minute log-return std dev
+  tradeIntervalMs: parseInt(process.env.SIMULATED_TRADE_INTERVAL_MS || '1000', 10),
+});
+
+// Log-price at the start of each day since the epoch, per `${seed}:${symbol}`
+const dayCheckpoints = new Map();
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text - The input.
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic uniform number in (0, 1) for a key and a counter (mulberry32 mixing).
+ * @param {number} key - The stream key.
+ * @param {number} n - The position in the stream.
+ * @returns {number}
+ */
+function uniform(key, n) {
+  let t = (key ^ Math.imul(n, 0x9e3779b1)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return (((t ^ (t >>> 14)) >>> 0) + 1) / 4294967297;
+}
+
+/**
+ * The log-return of one minute of the walk (Box-Muller over two uniforms).
+ * @param {number} key - The symbol's stream key.
+ * @param {number} minute - Minutes since the epoch.
+ * @param {number} volatility - Standard deviation of the step.
+ * @returns {number}
+ */
+function step(key, minute, volatility) {
+  const u1 = uniform(key, minute * 2);
+  const u2 = uniform(key, minute * 2 + 1);
+  return volatility * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * The walk's price at a whole minute since the epoch (before the epoch the price is the base price).
+ * @param {string} symbol - The trading symbol.
+ * @param {number} minute - Minutes since the epoch.
+ * @returns {number}
+ */
+function priceAtMinute(symbol, minute) {
+  const { seed, volatility } = config();
+  const streamKey = `${seed}:${symbol}`;
+  const key = hashString(streamKey);
+  const base = Math.log(BASE_PRICES[symbol] || DEFAULT_BASE_PRICE);
+  if (minute <= 0) return Math.exp(base);
+
+  if (!dayCheckpoints.has(streamKey)) dayCheckpoints.set(streamKey, [base]);
+  const checkpoints = dayCheckpoints.get(streamKey);
+  const day = Math.floor(minute / MINUTES_PER_DAY);
+  while (checkpoints.length <= day) {
+    const d = checkpoints.length - 1;
+    let logPrice = checkpoints[d];
+    for (let m = d * MINUTES_PER_DAY; m < (d + 1) * MINUTES_PER_DAY; m += 1) logPrice += step(key, m, volatility);
+    checkpoints.push(logPrice);
+  }
+
+  let logPrice = checkpoints[day];
+  for (let m = day * MINUTES_PER_DAY; m < minute; m += 1) logPrice += step(key, m, volatility);
+  return Math.exp(logPrice);
+}
+
+/**
+ * The walk's price at any time, interpolated between the surrounding minutes.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} time - The timestamp in milliseconds.
+ * @returns {number}
+ */
+function priceAt(symbol, time) {
+  const offset = (time - config().epoch) / MINUTE_MS;
+  const minute = Math.floor(offset);
+  const from = priceAtMinute(symbol, minute);
+  const to = priceAtMinute(symbol, minute + 1);
+  return from + (to - from) * (offset - minute);
+}
+
+/**
+ * The current simulated price.
+ * @param {string} symbol - The trading symbol.
+ * @returns {Promise<number>}
+ */
+async function fetchPrice(symbol) {
+  return priceAt(symbol, Date.now());
+}
+
+/**
+ * Emits a simulated trade at the walk's current price every SIMULATED_TRADE_INTERVAL_MS.
+ * @param {string} symbol - The trading symbol.
+ * @param {object} handlers - { onTrade, onOpen, onClose }, as for the Binance stream.
+ * @returns {{close: Function}} A handle to stop the stream.
+ */
+function streamTrades(symbol, { onTrade, onOpen, onClose }) {
+  const { tradeIntervalMs } = config();
+  const key = hashString(`${config().seed}:${symbol}:trades`);
+  let count = 0;
+
+  const handle = setInterval(() => {
+    const time = Date.now();
+    count += 1;
+    onTrade({ price: priceAt(symbol, time), quantity: Number((uniform(key, count) * 2).toFixed(6)), time });
+  }, tradeIntervalMs);
+  if (onOpen) setImmediate(onOpen);
+
+  return {
+    close: () => {
+      clearInterval(handle);
+      if (onClose) onClose();
+    },
+  };
+}
+
+/**
+ * Builds klines from the walk. Each candle's OHLC comes from the minute prices inside it; the path
+ * is walked forward once, minute by minute, rather than recomputed per candle.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} interval - The kline interval.
+ * @param {object} range - { startTime, endTime, limit }.
+ * @returns {Promise<Array|null>} Klines as [openTime, open, high, low, close, volume], or null for an unsupported interval.
+ */
+async function fetchKlines(symbol, interval, { startTime, endTime = Date.now(), limit = 500 }) {
+  const intervalMs = INTERVAL_MS[interval];
+  if (!intervalMs) return null;
+
+  const { seed, epoch, volatility } = config();
+  const key = hashString(`${seed}:${symbol}`);
+  const volumeKey = hashString(`${seed}:${symbol}:volume`);
+  const firstOpen = Math.floor(startTime / intervalMs) * intervalMs;
+  const lastOpen = Math.min(Math.floor(endTime / intervalMs) * intervalMs, firstOpen + (limit - 1) * intervalMs);
+
+  // Walk from the first whole minute of the range; `price` is the walk's price at `minute`
+  let minute = Math.ceil((firstOpen - epoch) / MINUTE_MS);
+  let price = priceAtMinute(symbol, minute);
+  const klines = [];
+
+  for (let openTime = firstOpen; openTime <= lastOpen; openTime += intervalMs) {
+    const closeTime = Math.min(openTime + intervalMs, endTime);
+    const open = priceAt(symbol, openTime);
+    let high = open;
+    let low = open;
+    while (minute * MINUTE_MS + epoch < closeTime) {
+      high = Math.max(high, price);
+      low = Math.min(low, price);
+      if (minute >= 0) price *= Math.exp(step(key, minute, volatility));
+      minute += 1;
+    }
+    const close = priceAt(symbol, closeTime);
+    high = Math.max(high, close);
+    low = Math.min(low, close);
+    const volume = uniform(volumeKey, Math.floor(openTime / MINUTE_MS)) * (intervalMs / MINUTE_MS) * 10;
+    klines.push([openTime, String(open), String(high), String(low), String(close), volume.toFixed(4)]);
+  }
+  return klines;
+}
+
+module.exports = { name: 'simulated', fetchPrice, streamTrades, fetchKlines, priceAt };
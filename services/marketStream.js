@@ -0,0 +1,122 @@
+const { KLINE_INTERVALS } = require('../utils/candles');
+
+// Public market-data channels: channel name -> subscribed connections
+const subscribers = new Map();
+
+const CHANNEL_KINDS = ['ticker', 'kline', 'trades'];
+
+/**
+ * Parses and validates a channel name: `ticker:<symbol>`, `kline:<symbol>:<interval>` or `trades:<symbol>`.
+ * @param {string} channel - The channel name.
+ * @returns {{error: string}|{kind: string, symbol: string, interval: (string|undefined), channel: string}}
+ */
+function parseChannel(channel) {
+  if (typeof channel !== 'string') return { error: 'channel must be a string' };
+  const [kind, rawSymbol, interval, ...rest] = channel.split(':');
+  if (!CHANNEL_KINDS.includes(kind)) return { error: `Unknown channel kind: ${kind}` };
+  if (!rawSymbol || rest.length > 0) return { error: `Malformed channel: ${channel}` };
+  if (kind === 'kline' && !KLINE_INTERVALS[interval]) {
+    return { error: `kline interval must be one of ${Object.keys(KLINE_INTERVALS).join(', ')}` };
+  }
+  if (kind !== 'kline' && interval !== undefined) return { error: `Malformed channel: ${channel}` };
+
+  const symbol = rawSymbol.replace('/', '').toUpperCase();
+  return { kind, symbol, interval, channel: [kind, symbol, interval].filter(Boolean).join(':') };
+}
+
+/**
+ * Subscribes a connection to a channel.
+ * @param {object} ws - The WebSocket connection.
+ * @param {string} channel - A normalized channel name.
+ */
+function subscribe(ws, channel) {
+  if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+  subscribers.get(channel).add(ws);
+}
+
+/**
+ * Unsubscribes a connection from a channel.
+ * @param {object} ws - The WebSocket connection.
+ * @param {string} channel - A normalized channel name.
+ * @returns {boolean} Whether the connection was subscribed.
+ */
+function unsubscribe(ws, channel) {
+  const set = subscribers.get(channel);
+  if (!set || !set.delete(ws)) return false;
+  if (set.size === 0) subscribers.delete(channel);
+  return true;
+}
+
+/**
+ * Removes a connection from every channel, e.g. when it closes.
+ * @param {object} ws - The WebSocket connection.
+ */
+function unsubscribeAll(ws) {
+  for (const channel of [...subscribers.keys()]) unsubscribe(ws, channel);
+}
+
+/**
+ * Sends an update to every subscriber of a channel.
+ * @param {string} channel - The channel name.
+ * @param {object} data - The trimmed payload.
+ */
+function publish(channel, data) {
+  const set = subscribers.get(channel);
+  if (!set) return;
+  const message = JSON.stringify({ type: 'update', channel, data });
+  for (const ws of set) {
+    if (ws.readyState === 1) ws.send(message);
+  }
+}
+
+/**
+ * Publishes a price tick on the symbol's ticker channel. Only public fields are sent:
+ * never the admin `manipulation` state.
+ * @param {object} doc - The MarketPrice document after the tick.
+ */
+function publishTick(doc) {
+  publish(`ticker:${doc.symbol}`, {
+    symbol: doc.symbol,
+    price: doc.price,
+    open: doc.open,
+    high: doc.high,
+    low: doc.low,
+    changePercent: doc.open ? ((doc.price - doc.open) / doc.open) * 100 : 0,
+    time: new Date(doc.updatedAt).getTime(),
+  });
+}
+
+/**
+ * Publishes the symbol's current candles, as stored by the candle store, on the kline channels.
+ * @param {Array} candles - Candle documents from `candleStore.recordTick`.
+ */
+function publishCandles(candles) {
+  for (const candle of candles) {
+    publish(`kline:${candle.symbol}:${candle.interval}`, {
+      symbol: candle.symbol,
+      interval: candle.interval,
+      openTime: new Date(candle.openTime).getTime(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+    });
+  }
+}
+
+/**
+ * Publishes a fill on the symbol's public trades channel, without the user or order behind it.
+ * @param {object} fill - The result of `tradeEngine.executeFill`.
+ */
+function publishTrade(fill) {
+  publish(`trades:${fill.symbol}`, {
+    symbol: fill.symbol,
+    price: fill.price,
+    quantity: fill.quantity,
+    side: fill.side,
+    time: new Date(fill.timestamp).getTime(),
+  });
+}
+
+module.exports = { parseChannel, subscribe, unsubscribe, unsubscribeAll, publish, publishTick, publishCandles, publishTrade };
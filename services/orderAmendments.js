@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const MarketPrice = require('../models/MarketPrice');
+const reservations = require('./reservations');
+const symbols = require('./symbols');
+const tradingRules = require('../utils/tradingRules');
+const { validateOrder } = require('../utils/orderValidation');
+const { TradeError } = require('../utils/tradeError');
+
+// Fields a user may change, per order type (OCO per leg)
+const AMENDABLE_FIELDS = {
+  LIMIT: ['amount', 'limitPrice'],
+  STOP_LIMIT: ['amount', 'stopPrice', 'limitPrice'],
+  TRAILING_STOP: ['amount', 'trailingDelta'],
+  OCO_LIMIT: ['amount', 'limitPrice'],
+  OCO_STOP: ['amount', 'stopPrice', 'limitPrice'],
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Applies the requested changes to an order and returns what actually changed.
+ * @param {object} order - The order document.
+ * @param {object} changes - The requested field values.
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function applyChanges(order, changes) {
+  const applied = [];
+  for (const [field, to] of Object.entries(changes)) {
+    const from = field === 'trailingDelta'
+      ? { type: order.trailingDelta.type, value: order.trailingDelta.value }
+      : order[field];
+    if (sameValue(from, to)) continue;
+    order[field] = to;
+    applied.push({ field, from, to });
+  }
+  return applied;
+}
+
+/**
+ * Amends an ACTIVE conditional order in place.
+ * Runs in a transaction with optimistic concurrency: if the order was triggered, filled or
+ * amended since the caller read it (or since it was loaded here), the amendment is rejected.
+ * OCO legs always share their amount, so changing it on one leg changes both. New values are
+ * rounded to the symbol's trading rules and held to them like a new order.
+ * @param {string} orderId - The order ID.
+ * @param {string} userId - The owner.
+ * @param {object} changes - New values for amount, stopPrice, limitPrice and/or trailingDelta.
+ * @param {number} [expectedVersion] - The order version (`__v`) the client last saw.
+ * @returns {Promise<object>} The amended order.
+ */
+async function amendOrder(orderId, userId, changes, expectedVersion) {
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await ConditionalOrder.findOne({ _id: orderId, user: userId }).session(session);
+      if (!order) throw new TradeError('Order not found.', 404);
+      if (order.status !== 'ACTIVE') throw new TradeError('Only active orders can be amended.', 409);
+      if (expectedVersion !== undefined && order.__v !== expectedVersion) {
+        throw new TradeError('Order was modified by another request. Reload it and try again.', 409);
+      }
+
+      const allowed = AMENDABLE_FIELDS[order.type === 'OCO' ? `OCO_${order.ocoLeg}` : order.type] || [];
+      const fields = Object.keys(changes);
+      if (fields.length === 0) throw new TradeError(`Nothing to amend. Amendable fields: ${allowed.join(', ')}.`);
+      const notAllowed = fields.filter((f) => !allowed.includes(f));
+      if (notAllowed.length > 0) {
+        throw new TradeError(`Cannot amend ${notAllowed.join(', ')} on a ${order.type} order. Amendable fields: ${allowed.join(', ')}.`);
+      }
+
+      let sibling = null;
+      const siblingId = reservations.ocoSiblingId(order);
+      if (siblingId) {
+        sibling = await ConditionalOrder.findById(siblingId).session(session);
+        if (!sibling || sibling.status !== 'ACTIVE') throw new TradeError('The other OCO leg is no longer active.', 409);
+      }
+
+      const rules = tradingRules.rulesOf(await symbols.findListed(order.symbol));
+      const rounded = tradingRules.roundOrder(rules, changes);
+      const applied = applyChanges(order, rounded);
+      if (applied.length === 0) throw new TradeError('The requested values match the current order.');
+
+      // Re-derive the stop from the tracked peak/trough with the new delta; an order without one
+      // yet gets its stop from the executor on the next tick
+      if (order.type === 'TRAILING_STOP' && changes.trailingDelta && typeof order.trailingReferencePrice === 'number') {
+        const ref = order.trailingReferencePrice;
+        const delta = order.trailingDelta.type === 'PERCENTAGE' ? ref * (order.trailingDelta.value / 100) : order.trailingDelta.value;
+        order.stopPrice = tradingRules.roundPrice(order.side === 'SELL' ? ref - delta : ref + delta, rules);
+      }
+
+      const marketPrice = await MarketPrice.findOne({ symbol: order.symbol }).session(session);
+      const invalid = validateOrder(order.toObject(), {
+        marketPrice: marketPrice && marketPrice.price,
+        sibling: sibling && sibling.toObject(),
+      });
+      if (invalid) throw new TradeError(invalid);
+      tradingRules.assertOrder(rules, order.toObject());
+
+      const amendedAt = new Date();
+      order.amendments.push({ amendedAt, changes: applied });
+      await order.save({ session });
+
+      const linked = [order];
+      if (sibling) {
+        const siblingChanges = applyChanges(sibling, rounded.amount !== undefined ? { amount: rounded.amount } : {});
+        if (siblingChanges.length > 0) {
+          sibling.amendments.push({ amendedAt, changes: siblingChanges });
+          await sibling.save({ session });
+        }
+        linked.push(sibling);
+      }
+
+      await reservations.resizeReservation(linked, session);
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      throw new TradeError('Order was modified by another request. Reload it and try again.', 409);
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // Re-sizing a BUY reservation locks or unlocks funds
+  if (order.side === 'BUY') await reservations.announceBalance(order.user);
+  return order;
+}
+
+module.exports = { amendOrder, AMENDABLE_FIELDS };
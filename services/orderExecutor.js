@@ -1,84 +1,170 @@
 const mongoose = require('mongoose');
 const ConditionalOrder = require('../models/ConditionalOrder');
-const MarketPrice = require('../models/MarketPrice');
-const User =require('../models/User');
-const Asset = require('../models/Asset');
-const Transaction = require('../models/Transaction');
+const tradeEngine = require('./tradeEngine');
+const marginEngine = require('./marginEngine');
+const privateEvents = require('./privateEvents');
+const symbols = require('./symbols');
+const tradingRules = require('../utils/tradingRules');
 
-/**
- * Executes a trade based on a triggered conditional order.
- * This function is simplified and mirrors the logic in your trade route.
- * @param {object} order - The conditional order document from MongoDB.
- */
-async function executeTrade(order) {
-  const { user: userId, symbol, side, amount, limitPrice } = order;
+const { FILL_EPSILON } = tradeEngine;
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+// Simulated book depth: the most notional (in USD) a single order can fill per price update
+const MAX_FILL_NOTIONAL_PER_TICK = parseFloat(process.env.MAX_FILL_NOTIONAL_PER_TICK || '50000');
 
-  try {
-    const user = await User.findById(userId).session(session);
-    if (!user) throw new Error('User not found');
+// Statuses in which an order sits on the book waiting for a marketable price
+const RESTING_STATUSES = ['TRIGGERED', 'PARTIALLY_FILLED'];
 
-    const executionPrice = limitPrice; // For STOP_LIMIT, we execute at the limit price
-    const total = amount * executionPrice;
+// Symbols whose price update is still being processed. A tick that overlaps the previous one,
+// or a second price source, skips the symbol rather than filling the same orders twice.
+const inFlight = new Set();
 
-    if (side === 'BUY') {
-      if (user.balance < total) throw new Error('Insufficient funds');
-      user.balance -= total;
+/**
+ * Returns the quantity of an order that is still unfilled.
+ * @param {object} order - The conditional order document.
+ * @returns {number}
+ */
+function remainingAmount(order) {
+  return Math.max(0, order.amount - (order.filledAmount || 0));
+}
 
-      let asset = await Asset.findOne({ user: userId, crypto: symbol }).session(session);
-      if (!asset) {
-        asset = new Asset({ user: userId, crypto: symbol, amount, averagePrice: executionPrice });
-      } else {
-        const prevAmount = asset.amount;
-        const newAmount = prevAmount + amount;
-        asset.averagePrice = ((prevAmount * asset.averagePrice) + (amount * executionPrice)) / newAmount;
-        asset.amount = newAmount;
-      }
-      await asset.save({ session });
-    } else { // SELL
-      const asset = await Asset.findOne({ user: userId, crypto: symbol }).session(session);
-      if (!asset || asset.amount < amount) throw new Error('Insufficient holdings');
+/**
+ * Whether the current price is at or better than the order's limit price.
+ * Orders without a limit (triggered trailing stops) are always marketable.
+ * @param {object} order - The conditional order document.
+ * @param {number} currentPrice - The latest market price.
+ * @returns {boolean}
+ */
+function isMarketable(order, currentPrice) {
+  if (order.limitPrice === undefined || order.limitPrice === null) return true;
+  if (order.side === 'BUY') return currentPrice <= order.limitPrice;
+  return currentPrice >= order.limitPrice;
+}
 
-      asset.amount -= amount;
-      user.balance += total;
+/**
+ * Whether a stop price has been crossed: at or below it for a SELL, at or above it for a BUY.
+ * @param {object} order - The stop, trailing stop or OCO stop leg.
+ * @param {number} currentPrice - The latest market price.
+ * @returns {boolean}
+ */
+function isStopCrossed(order, currentPrice) {
+  if (order.side === 'SELL') return currentPrice <= order.stopPrice;
+  return currentPrice >= order.stopPrice;
+}
 
-      if (asset.amount > 0) {
-        await asset.save({ session });
-      } else {
-        await asset.remove({ session });
-      }
-    }
+/**
+ * Moves a trailing stop with a new price: a SELL tracks the peak, a BUY the trough.
+ * @param {object} order - The trailing stop order.
+ * @param {number} currentPrice - The latest market price.
+ * @param {object} rules - The symbol's trading rules (utils/tradingRules).
+ * @returns {{trailingReferencePrice: number, stopPrice: number}|null} The new reference and stop
+ *   price, or null if the price did not set a new peak (SELL) or trough (BUY).
+ */
+function trailStop(order, currentPrice, rules) {
+  const newRefPrice = order.side === 'SELL'
+    ? Math.max(order.trailingReferencePrice || 0, currentPrice)
+    : Math.min(order.trailingReferencePrice || Infinity, currentPrice);
+  // An order without a reference yet starts tracking from this price
+  const moved = typeof order.trailingReferencePrice !== 'number' || (order.side === 'SELL'
+    ? newRefPrice > order.trailingReferencePrice
+    : newRefPrice < order.trailingReferencePrice);
+  if (!moved) return null;
+
+  const delta = order.trailingDelta.type === 'PERCENTAGE' ? newRefPrice * (order.trailingDelta.value / 100) : order.trailingDelta.value;
+  const stopPrice = order.side === 'SELL' ? newRefPrice - delta : newRefPrice + delta;
+  return { trailingReferencePrice: newRefPrice, stopPrice: tradingRules.roundPrice(stopPrice, rules) };
+}
+
+/**
+ * Executes a (possibly partial) fill of a conditional order through the trade engine.
+ * @param {object} order - The conditional order document from MongoDB.
+ * @param {number} fillAmount - The quantity to fill.
+ * @param {number} executionPrice - The price the fill happens at.
+ * @param {string} liquidity - 'MAKER' if the order rested on the book before matching, otherwise 'TAKER'.
+ */
+async function executeTrade(order, fillAmount, executionPrice, liquidity) {
+  const { user: userId, symbol, side } = order;
 
-    await user.save({ session });
+  try {
+    const fill = await tradeEngine.executeFill({
+      userId,
+      symbol,
+      side,
+      amount: fillAmount,
+      price: executionPrice,
+      orderId: order._id,
+      liquidity,
+      source: order.type,
+      // The fill amount and price were worked out from this version; an amendment since voids them
+      orderVersion: order.__v,
+    });
+    console.log(`[OrderExecutor] Filled ${fillAmount} of ${side} order ${order._id} for ${symbol} at ${executionPrice} (${fill.order.status})`);
+  } catch (error) {
+    // The order keeps its last persisted state and the fill is retried on the next tick
+    console.error(`[OrderExecutor] Failed to execute trade for order ${order._id}:`, error.message);
+  }
+}
 
-    const tx = new Transaction({ user: userId, type: 'trade', amount: side === 'BUY' ? -total : total });
-    await tx.save({ session });
+/**
+ * Matching step for an order resting on the book. Fills as much of the remaining
+ * quantity as the simulated liquidity allows when the price is at or better than the limit.
+ * @param {object} order - The resting conditional order.
+ * @param {number} currentPrice - The latest market price.
+ * @param {string} liquidity - 'MAKER' when matching an order that was already resting.
+ * @param {object} rules - The symbol's trading rules (utils/tradingRules).
+ */
+async function matchRestingOrder(order, currentPrice, liquidity, rules) {
+  if (!isMarketable(order, currentPrice)) return;
+
+  // A partial fill is a whole number of steps; the last fill takes whatever remains
+  const maxFillAmount = MAX_FILL_NOTIONAL_PER_TICK / currentPrice;
+  const remaining = remainingAmount(order);
+  let fillAmount = remaining <= maxFillAmount ? remaining : tradingRules.roundQuantity(maxFillAmount, rules);
+  // A step worth more than the per-tick cap still fills one step per tick, or the order would never fill
+  if (fillAmount <= FILL_EPSILON) fillAmount = Math.min(remaining, rules.stepSize);
+  if (fillAmount <= FILL_EPSILON) return;
+
+  // Fills happen at the market price, which is never worse than the limit
+  await executeTrade(order, fillAmount, currentPrice, liquidity);
+}
 
-    order.status = 'COMPLETED';
-    order.completedAt = new Date();
-    order.executedTradeId = tx._id;
-    await order.save({ session });
+/**
+ * Evaluates one open order against a new price: matches resting orders, moves trailing
+ * stops and triggers stops whose price has been crossed.
+ * @param {object} order - The open conditional order.
+ * @param {number} currentPrice - The new market price.
+ * @param {object} rules - The symbol's trading rules (utils/tradingRules).
+ */
+async function evaluateOrder(order, currentPrice, rules) {
+  // Limit orders (including the limit leg of an OCO) and triggered stops rest until matched
+  if (RESTING_STATUSES.includes(order.status) || order.type === 'LIMIT' || order.ocoLeg === 'LIMIT') {
+    await matchRestingOrder(order, currentPrice, 'MAKER', rules);
+    return;
+  }
 
-    await session.commitTransaction();
-    console.log(`[OrderExecutor] Successfully executed ${side} order ${order._id} for ${amount} ${symbol}`);
+  let trigger = false;
 
-    // If it was an OCO order, cancel the other one
-    if (order.ocoPair && order.ocoPair.stopOrderId) {
-        const otherOrderId = order.type === 'STOP_LIMIT' ? order.ocoPair.limitOrderId : order.ocoPair.stopOrderId;
-        await ConditionalOrder.findByIdAndUpdate(otherOrderId, { status: 'CANCELED', canceledAt: new Date() });
-        console.log(`[OrderExecutor] Canceled paired OCO order ${otherOrderId}`);
+  if (order.type === 'TRAILING_STOP') {
+    // The stop price follows the peak (SELL) or trough (BUY) price
+    const moved = trailStop(order, currentPrice, rules);
+    if (moved) {
+      order.trailingReferencePrice = moved.trailingReferencePrice;
+      order.stopPrice = moved.stopPrice;
+      await order.save();
     }
+    trigger = isStopCrossed(order, currentPrice);
+  } else if (order.type === 'STOP_LIMIT' || order.type === 'OCO') {
+    // Standard stop price check
+    trigger = isStopCrossed(order, currentPrice);
+  }
 
-  } catch (error) {
-    await session.abortTransaction();
-    console.error(`[OrderExecutor] Failed to execute trade for order ${order._id}:`, error.message);
-    // Optionally, revert order status if execution fails
-    order.status = 'ACTIVE'; 
+  if (trigger) {
+    console.log(`[OrderExecutor] Triggering order ${order._id} for ${order.symbol} at price ${currentPrice}`);
+    order.status = 'TRIGGERED';
+    order.triggeredAt = new Date();
     await order.save();
-  } finally {
-    session.endSession();
+    privateEvents.ordersUpdated(order);
+    // The triggered order now rests on the book; a fill on the trigger tick takes liquidity
+    await matchRestingOrder(order, currentPrice, 'TAKER', rules);
   }
 }
 
@@ -86,59 +172,77 @@ async function executeTrade(order) {
  * Processes a price update for a single symbol.
  * @param {string} symbol - The symbol that has a new price (e.g., 'BTCUSDT').
  * @param {number} currentPrice - The new market price.
+ * @param {object} [options] - { halted }: when trading in the symbol is paused, no orders are
+ *   evaluated; margin positions are still marked and liquidated.
+ */
+async function processPriceUpdate(symbol, currentPrice, { halted = false } = {}) {
+  if (inFlight.has(symbol)) {
+    console.log(`[OrderExecutor] Previous price update for ${symbol} still running, skipping ${currentPrice}`);
+    return;
+  }
+  inFlight.add(symbol);
+  try {
+    await processOrders(symbol, currentPrice, halted);
+    await checkMarginPositions(symbol, currentPrice);
+  } finally {
+    inFlight.delete(symbol);
+  }
+}
+
+/**
+ * Evaluates the open orders of a symbol against a new price.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} currentPrice - The new market price.
+ * @param {boolean} halted - Whether trading in the symbol is paused.
  */
-async function processPriceUpdate(symbol, currentPrice) {
-  const activeOrders = await ConditionalOrder.find({ symbol, status: 'ACTIVE' });
+async function processOrders(symbol, currentPrice, halted) {
+  const activeOrders = halted ? [] : await ConditionalOrder.find({ symbol, status: { $in: ['ACTIVE', ...RESTING_STATUSES] } });
+  const rules = activeOrders.length > 0 ? tradingRules.rulesOf(await symbols.findListed(symbol)) : null;
+
+  const now = new Date();
 
   for (const order of activeOrders) {
-    let trigger = false;
-
-    if (order.type === 'TRAILING_STOP') {
-      // Update trailing reference price and calculate new stop price
-      if (order.side === 'SELL') {
-        // For a sell, we track the peak price.
-        const newRefPrice = Math.max(order.trailingReferencePrice || 0, currentPrice);
-        if (newRefPrice > order.trailingReferencePrice) {
-          order.trailingReferencePrice = newRefPrice;
-          // Stop price is dynamically calculated
-          const delta = order.trailingDelta.type === 'PERCENTAGE' ? newRefPrice * (order.trailingDelta.value / 100) : order.trailingDelta.value;
-          order.stopPrice = newRefPrice - delta;
-          await order.save();
-        }
-        // Check for trigger
-        if (currentPrice <= order.stopPrice) trigger = true;
-
-      } else { // BUY
-        // For a buy, we track the trough price.
-        const newRefPrice = Math.min(order.trailingReferencePrice || Infinity, currentPrice);
-        if (newRefPrice < order.trailingReferencePrice) {
-            order.trailingReferencePrice = newRefPrice;
-            const delta = order.trailingDelta.type === 'PERCENTAGE' ? newRefPrice * (order.trailingDelta.value / 100) : order.trailingDelta.value;
-            order.stopPrice = newRefPrice + delta;
-            await order.save();
-        }
-        // Check for trigger
-        if (currentPrice >= order.stopPrice) trigger = true;
-      }
-    } else if (order.type === 'STOP_LIMIT' || order.type === 'OCO') {
-      // Standard stop price check
-      if (order.side === 'SELL' && currentPrice <= order.stopPrice) {
-        trigger = true;
-      } else if (order.side === 'BUY' && currentPrice >= order.stopPrice) {
-        trigger = true;
+    // Orders past their time in force are left for the expiry sweeper
+    if (order.expireAt && order.expireAt <= now) continue;
+    try {
+      await evaluateOrder(order, currentPrice, rules);
+    } catch (error) {
+      // A version conflict means the order was amended or canceled since it was loaded;
+      // it is re-evaluated from its new state on the next tick
+      if (error instanceof mongoose.Error.VersionError) {
+        console.log(`[OrderExecutor] Order ${order._id} changed during evaluation, skipping this tick`);
+      } else {
+        console.error(`[OrderExecutor] Error evaluating order ${order._id}:`, error.message);
       }
     }
+  }
+}
 
-    if (trigger) {
-      console.log(`[OrderExecutor] Triggering order ${order._id} for ${symbol} at price ${currentPrice}`);
-      order.status = 'TRIGGERED';
-      order.triggeredAt = new Date();
-      await order.save();
-      // In this simulation, we can execute the trade immediately upon trigger.
-      // A real system might place it in a queue for the limit order to be matched.
-      await executeTrade(order);
+/**
+ * Marks open margin positions on a symbol to the new price and liquidates those
+ * whose equity no longer covers the maintenance margin.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} currentPrice - The new price.
+ */
+async function checkMarginPositions(symbol, currentPrice) {
+  let breached;
+  try {
+    breached = await marginEngine.markPositions(symbol, currentPrice);
+  } catch (error) {
+    console.error(`[OrderExecutor] Error marking margin positions for ${symbol}:`, error.message);
+    return;
+  }
+
+  for (const position of breached) {
+    try {
+      const liquidation = await marginEngine.liquidatePosition(position._id, currentPrice);
+      if (liquidation) {
+        console.log(`[OrderExecutor] Liquidated ${position.side} ${position.quantity} ${symbol} (position ${position._id}) at ${currentPrice}`);
+      }
+    } catch (error) {
+      console.error(`[OrderExecutor] Error liquidating position ${position._id}:`, error.message);
     }
   }
 }
 
-module.exports = { processPriceUpdate };
\ No newline at end of file
+module.exports = { RESTING_STATUSES, processPriceUpdate, isMarketable, isStopCrossed, trailStop };
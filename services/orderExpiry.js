@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const reservations = require('./reservations');
+const privateEvents = require('./privateEvents');
+
+let intervalHandle = null;
+
+/**
+ * Expires a single order (and its OCO sibling) and releases what it reserved.
+ * @param {string} orderId - The order ID.
+ * @returns {Promise<boolean>} Whether the order was expired.
+ */
+async function expireOrder(orderId) {
+  const session = await mongoose.startSession();
+  let expired = false;
+  let order;
+  let sibling = null;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await ConditionalOrder.findById(orderId).session(session);
+      // Re-check inside the transaction: the order may have filled or been canceled meanwhile
+      if (!order || !order.expireAt || order.expireAt > new Date()) return;
+      expired = await reservations.cancelInSession(order, session, 'EXPIRED');
+      if (expired) sibling = await reservations.cancelOcoSibling(order, session, 'EXPIRED');
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (expired) {
+    privateEvents.ordersUpdated(order, sibling);
+    if (order.side === 'BUY') await reservations.announceBalance(order.user);
+  }
+
+  return expired;
+}
+
+/**
+ * Moves every open order whose expiry has passed to EXPIRED.
+ * @returns {Promise<number>} The number of orders expired.
+ */
+async function sweepExpiredOrders() {
+  const due = await ConditionalOrder.find({
+    status: { $in: reservations.OPEN_ORDER_STATUSES },
+    expireAt: { $lte: new Date() },
+  }).select('_id');
+
+  let count = 0;
+  for (const { _id } of due) {
+    try {
+      if (await expireOrder(_id)) count += 1;
+    } catch (err) {
+      console.error(`[OrderExpiry] Failed to expire order ${_id}:`, err.message);
+    }
+  }
+  if (count > 0) console.log(`[OrderExpiry] Expired ${count} order(s)`);
+  return count;
+}
+
+function start(options = {}) {
+  const intervalMs = parseInt(process.env.ORDER_EXPIRY_SWEEP_MS || options.intervalMs || '10000', 10);
+
+  if (intervalHandle) clearInterval(intervalHandle);
+  intervalHandle = setInterval(() => {
+    sweepExpiredOrders().catch((err) => console.error('Order expiry sweep error', err));
+  }, intervalMs);
+
+  console.log(`Order expiry sweeper started: interval=${intervalMs}ms`);
+}
+
+function stop() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, sweepExpiredOrders, expireOrder };
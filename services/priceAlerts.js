@@ -0,0 +1,134 @@
+const PriceAlert = require('../models/PriceAlert');
+const userSockets = require('./userSockets');
+const { MAX_ALERT_WINDOW_MS } = require('../utils/alertValidation');
+
+// Recent [timestamp, price] samples per symbol, oldest first, for PERCENT_CHANGE alerts.
+// Kept in memory: after a restart a window is only evaluated once it is covered again.
+const priceHistory = new Map();
+
+/**
+ * Appends a price sample and drops samples older than the longest alert window.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} price - The price.
+ * @param {Date} now - The sample time.
+ */
+function recordPrice(symbol, price, now) {
+  if (!priceHistory.has(symbol)) priceHistory.set(symbol, []);
+  const samples = priceHistory.get(symbol);
+  samples.push([now.getTime(), price]);
+
+  const cutoff = now.getTime() - MAX_ALERT_WINDOW_MS;
+  let stale = 0;
+  // Keep the newest sample at or before the cutoff so a full-length window stays answerable
+  while (stale + 1 < samples.length && samples[stale + 1][0] <= cutoff) stale += 1;
+  if (stale > 0) samples.splice(0, stale);
+}
+
+/**
+ * Returns the price at the start of a trailing window.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} windowMs - The window length.
+ * @param {Date} now - The end of the window.
+ * @returns {number|null} The newest price at or before the window start, or null if history is too short.
+ */
+function priceAgo(symbol, windowMs, now) {
+  const samples = priceHistory.get(symbol) || [];
+  const start = now.getTime() - windowMs;
+  let found = null;
+  for (const [time, price] of samples) {
+    if (time > start) break;
+    found = price;
+  }
+  return found;
+}
+
+/**
+ * Checks an alert's condition against the new price.
+ * @param {object} alert - The alert document.
+ * @param {object} ctx - The tick: { symbol, price, previousHigh, previousLow, now }.
+ * @returns {object|null} Details of the match, or null if the condition does not hold.
+ */
+function checkCondition(alert, { symbol, price, previousHigh, previousLow, now }) {
+  switch (alert.condition) {
+    case 'ABOVE':
+      return price >= alert.price ? { threshold: alert.price } : null;
+    case 'BELOW':
+      return price <= alert.price ? { threshold: alert.price } : null;
+    case 'PERCENT_CHANGE': {
+      const reference = priceAgo(symbol, alert.windowMs, now);
+      if (!reference) return null;
+      const change = ((price - reference) / reference) * 100;
+      const hit = alert.changePercent > 0 ? change >= alert.changePercent : change <= alert.changePercent;
+      return hit ? { referencePrice: reference, changePercent: change } : null;
+    }
+    case 'DAILY_HIGH_CROSS':
+      return previousHigh && price > previousHigh ? { previousHigh } : null;
+    case 'DAILY_LOW_CROSS':
+      return previousLow && price < previousLow ? { previousLow } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Marks an alert as fired and notifies its owner. The update is conditional on the alert still
+ * being active and out of its cooldown, so an alert never fires twice for the same window.
+ * @param {object} alert - The alert document.
+ * @param {number} price - The price that fired it.
+ * @param {object} details - What matched, from `checkCondition`.
+ * @param {Date} now - The tick time.
+ * @returns {Promise<boolean>} Whether the alert fired.
+ */
+async function fireAlert(alert, price, details, now) {
+  const guard = { _id: alert._id, status: 'ACTIVE' };
+  if (alert.repeat) {
+    guard.$or = [
+      { lastTriggeredAt: { $exists: false } },
+      { lastTriggeredAt: { $lte: new Date(now.getTime() - alert.cooldownMs) } },
+    ];
+  }
+  const update = {
+    $set: { lastTriggeredAt: now, lastTriggerPrice: price, ...(alert.repeat ? {} : { status: 'TRIGGERED' }) },
+    $inc: { triggerCount: 1 },
+  };
+
+  const fired = await PriceAlert.findOneAndUpdate(guard, update, { new: true });
+  if (!fired) return false;
+
+  userSockets.sendToUser(fired.user, 'alert', {
+    alertId: fired._id,
+    symbol: fired.symbol,
+    condition: fired.condition,
+    price,
+    note: fired.note,
+    triggeredAt: now,
+    triggerCount: fired.triggerCount,
+    status: fired.status,
+    ...details,
+  });
+  return true;
+}
+
+/**
+ * Evaluates every active alert on a symbol against a new price.
+ * @param {string} symbol - The trading symbol.
+ * @param {number} price - The new price.
+ * @param {object} [daily] - The day's high and low before this tick ({ previousHigh, previousLow }).
+ */
+async function processPriceUpdate(symbol, price, { previousHigh, previousLow } = {}) {
+  const now = new Date();
+  recordPrice(symbol, price, now);
+
+  const alerts = await PriceAlert.find({ symbol, status: 'ACTIVE' });
+  for (const alert of alerts) {
+    if (alert.repeat && alert.lastTriggeredAt && now - alert.lastTriggeredAt < alert.cooldownMs) continue;
+    try {
+      const details = checkCondition(alert, { symbol, price, previousHigh, previousLow, now });
+      if (details) await fireAlert(alert, price, details, now);
+    } catch (error) {
+      console.error(`[PriceAlerts] Error evaluating alert ${alert._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = { processPriceUpdate, checkCondition, recordPrice, priceAgo };
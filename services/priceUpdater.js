@@ -1,68 +1,97 @@
 const MarketPrice = require('../models/MarketPrice');
-const axios = require('axios');
-const WebSocket = require('ws');
-const { calculateManipulatedPrice } = require('../utils/priceManipulation');
+const { calculateManipulatedPrice, windowPrice, coolDownOf, coolDownPrice } = require('../utils/priceManipulation');
 
 const orderExecutor = require('./orderExecutor');
+const priceAlerts = require('./priceAlerts');
+const marketStream = require('./marketStream');
+const candleStore = require('./candleStore');
+const marketData = require('./marketData');
+const symbols = require('./symbols');
+const manipulationQueue = require('./manipulationQueue');
 let intervalHandle = null;
+// Set while a tick runs, so a slow tick is never overlapped by the next one
+let ticking = false;
+let stopping = false;
 const wsConnections = new Map();
-const latestWsPrices = new Map(); // In-memory cache for the latest prices from WebSocket
-
-// Default configuration
-const DEFAULT_SYMBOLS = [
-  { symbol: 'BTCUSDT', price: 40000 },
-  { symbol: 'ETHUSDT', price: 2500 },
-  { symbol: 'LTCUSDT', price: 150 },
-];
-
-// Fetch real price from Binance
-async function fetchRealPrice(symbol) {
-  try {
-    const response = await axios.get(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`, {
-      timeout: parseInt(process.env.PRICE_FETCH_TIMEOUT_MS || '5000', 10),
-    });
-    if (response.data && response.data.price) {
-      return parseFloat(response.data.price);
-    }
-    return null;
-  } catch (error) {
-    console.error(`Error fetching price for ${symbol} from Binance:`, error.message);
-    return null;
-  }
-}
+const latestWsPrices = new Map(); // In-memory cache of { price, time } from the trade stream
+const streamState = new Map(); // Per-symbol stream health: { connected, attempts, reconnectTimer, lastUpdate }
+const feedStatus = new Map(); // Per-symbol source of the market price used by the last tick: { source, updatedAt }
+
+// Stream prices older than this are dropped so the REST / random fallback takes over
+const staleAfterMs = () => parseInt(process.env.STREAM_STALE_MS || '10000', 10);
+const reconnectBaseMs = () => parseInt(process.env.STREAM_RECONNECT_BASE_MS || '1000', 10);
+const reconnectMaxMs = () => parseInt(process.env.STREAM_RECONNECT_MAX_MS || '60000', 10);
 
 function randomChange(price, volatility) {
   const pct = (Math.random() * 2 - 1) * volatility; // between -volatility..+volatility
   return Math.max(0.00000001, price * (1 + pct));
 }
 
-async function seedIfEmpty(symbols) {
-  for (const s of symbols) {
-    const existing = await MarketPrice.findOne({ symbol: s.symbol });
-    if (!existing) {
-      await new MarketPrice({ symbol: s.symbol, price: s.price }).save();
+/**
+ * Returns the latest stream price for a symbol if it is fresh, dropping it once it is stale.
+ * @param {string} symbol - The trading symbol.
+ * @param {Date} now - The tick time.
+ * @returns {number|null}
+ */
+function freshStreamPrice(symbol, now) {
+  const entry = latestWsPrices.get(symbol);
+  if (!entry) return null;
+  if (now - entry.time > staleAfterMs()) {
+    latestWsPrices.delete(symbol);
+    return null;
+  }
+  return entry.price;
+}
+
+/**
+ * Opens trade streams for newly listed symbols and closes those of symbols no longer priced.
+ * @param {Array<string>} listed - The symbols to price.
+ */
+function syncStreams(listed) {
+  if (stopping) return;
+  const wanted = new Set(listed);
+  for (const symbol of [...streamState.keys()]) {
+    if (!wanted.has(symbol)) disconnectStream(symbol);
+  }
+  for (const symbol of listed) {
+    if (!wsConnections.has(symbol) && !(streamState.get(symbol) || {}).reconnectTimer) {
+      try {
+        connectStream(symbol);
+      } catch (err) {
+        console.error(`Failed to connect to ${symbol} stream:`, err);
+      }
     }
   }
 }
 
 async function tick(options = {}) {
-  const { wss } = options;
   const volatility = parseFloat(process.env.PRICE_VOLATILITY || options.volatility || 0.02);
-  const symbols = options.symbols || DEFAULT_SYMBOLS.map((s) => s.symbol);
+  // The listing is re-read every tick so admin changes apply without a restart
+  const listing = await symbols.listPriced();
+  const listingBySymbol = new Map(listing.map((s) => [s.symbol, s]));
+  const symbolList = listing.map((s) => s.symbol);
+  syncStreams(symbolList);
   const now = new Date();
   const today = now.toISOString().slice(0, 10); // Get 'YYYY-MM-DD' for daily OHLC tracking
-  const updatedPrices = [];
 
-  // Concurrently fetch all market prices from the database
-  const priceDocs = await MarketPrice.find({ symbol: { $in: symbols } });
-
-  // Identify symbols that need a real price fetch (not in WS cache)
-  const symbolsToFetch = symbols.filter((symbol) => !latestWsPrices.has(symbol));
+  // Concurrently fetch all market prices and due manipulations from the database
+  const [priceDocs, dueManipulations] = await Promise.all([
+    MarketPrice.find({ symbol: { $in: symbolList } }),
+    manipulationQueue.dueEntries(symbolList, now),
+  ]);
+
+  // Identify symbols that need a real price fetch (no fresh price from the stream)
+  const streamPrices = new Map();
+  symbolList.forEach((symbol) => {
+    const price = freshStreamPrice(symbol, now);
+    if (price !== null) streamPrices.set(symbol, price);
+  });
+  const symbolsToFetch = symbolList.filter((symbol) => !streamPrices.has(symbol));
   const fetchedPrices = new Map();
 
   if (symbolsToFetch.length > 0) {
     const pricePromises = symbolsToFetch.map((symbol) =>
-      fetchRealPrice(symbol).then((price) => ({ symbol, price }))
+      marketData.fetchPrice(symbol).then((price) => ({ symbol, price }))
     );
     const results = await Promise.all(pricePromises);
     results.forEach((result) => {
@@ -72,16 +101,36 @@ async function tick(options = {}) {
     });
   }
 
-  for (const symbol of symbols) {
+  for (const symbol of symbolList) {
+    const listed = listingBySymbol.get(symbol);
     let doc = priceDocs.find((p) => p.symbol === symbol);
     if (!doc) {
-      const defaultObj = DEFAULT_SYMBOLS.find((d) => d.symbol === symbol) || { price: 100 };
-      doc = new MarketPrice({ symbol, price: defaultObj.price });
+      // A newly listed symbol starts at the provider's price, or its configured initial price
+      const startPrice = streamPrices.get(symbol) || fetchedPrices.get(symbol) || listed.initialPrice;
+      if (!startPrice) {
+        console.warn(`No price available for newly listed ${symbol}; skipping until a provider quotes it`);
+        continue;
+      }
+      doc = new MarketPrice({ symbol, price: startPrice });
     }
 
     let newPrice;
-    const currentMarketPrice =
-      latestWsPrices.get(symbol) || fetchedPrices.get(symbol) || randomChange(doc.price, volatility);
+    let source = 'random';
+    let currentMarketPrice;
+    if (streamPrices.has(symbol)) {
+      source = 'stream';
+      currentMarketPrice = streamPrices.get(symbol);
+    } else if (fetchedPrices.has(symbol)) {
+      source = 'rest';
+      currentMarketPrice = fetchedPrices.get(symbol);
+    } else {
+      currentMarketPrice = randomChange(doc.price, volatility);
+    }
+    feedStatus.set(symbol, { source, updatedAt: now });
+
+    // The day's range before this tick, for daily high/low cross alerts
+    const previousHigh = doc.lastDay === today ? doc.high : null;
+    const previousLow = doc.lastDay === today ? doc.low : null;
 
     // --- Daily OHLC Reset ---
     if (doc.lastDay !== today) {
@@ -91,6 +140,11 @@ async function tick(options = {}) {
       doc.lastDay = today;
     }
 
+    // Start the next queued manipulation once it is due; it cuts short a cool-down still running
+    if (dueManipulations.has(symbol) && !(doc.manipulation && doc.manipulation.isActive)) {
+      await manipulationQueue.startNext(doc, dueManipulations.get(symbol), now);
+    }
+
     const manip = doc.manipulation;
 
     if (manip && manip.isActive) {
@@ -99,22 +153,8 @@ async function tick(options = {}) {
 
       if (now >= startTime && now < endTime) {
         // --- During manipulation period ---
-        const elapsed = now - startTime;
-        newPrice = calculateManipulatedPrice(
-          {
-            startPrice: manip.originalPrice,
-            endValue: manip.endValue,
-            durationMs: manip.durationMs,
-          },
-          elapsed
-        );
-
-        // Add realistic market volatility
-        const volatilityPercent = 0.002;
-        const wave1 = Math.sin(elapsed / 1000) * newPrice * volatilityPercent;
-        const wave2 = Math.sin(elapsed / 500 + 1.5) * newPrice * volatilityPercent * 0.5;
-        const randomNoise = (Math.random() - 0.5) * newPrice * volatilityPercent * 0.2;
-        newPrice += wave1 + wave2 + randomNoise;
+        // The curve plus volatility seeded per manipulation, so charts can replay the exact prices
+        newPrice = windowPrice(manip, now - startTime);
       } else if (now >= endTime) {
         // --- Manipulation period has just ended, start cool-down ---
         console.log(`Price manipulation for ${symbol} ended. Starting cool-down.`);
@@ -122,33 +162,40 @@ async function tick(options = {}) {
         manip.isCoolingDown = true;
         const coolDownDurationMs = manip.durationMs / 2; // Cooldown is half the manip duration
         manip.coolDownEndTime = new Date(endTime.getTime() + coolDownDurationMs);
-        newPrice = manip.endValue; // Start cooldown from the manipulation's end value
+        manip.coolDownStartTime = endTime;
+        manip.coolDownFrom = manip.endValue; // Start cooldown from the manipulation's end value
+        manip.coolDownTo = currentMarketPrice; // Eases back to the market price as it is now
+        newPrice = coolDownPrice(coolDownOf(manip), now.getTime());
+        // The record keeps the cool-down so charts can replay it; one canceled meanwhile keeps its own
+        await manipulationQueue.setStatus(manip.manipulationId, 'COOLING_DOWN', {
+          actualEndTime: now,
+          outcome: 'FULL_WINDOW',
+          coolDownStartTime: manip.coolDownStartTime,
+          coolDownEndTime: manip.coolDownEndTime,
+          coolDownFrom: manip.coolDownFrom,
+          coolDownTo: manip.coolDownTo,
+        }, ['ACTIVE']);
       } else {
         // Before manipulation starts
         newPrice = currentMarketPrice;
       }
     } else if (manip && manip.isCoolingDown) {
-      const coolDownEndTime = new Date(manip.coolDownEndTime);
-      const coolDownStartTime = new Date(coolDownEndTime.getTime() - manip.durationMs / 2);
+      if (typeof manip.coolDownTo !== 'number') {
+        // A canceled window's cool-down eases to the market price of its first tick, kept for replay
+        manip.coolDownTo = currentMarketPrice;
+        await manipulationQueue.setStatus(manip.manipulationId, 'COOLING_DOWN', { coolDownTo: manip.coolDownTo }, ['COOLING_DOWN']);
+      }
+      const coolDown = coolDownOf(manip);
 
-      if (now < coolDownEndTime) {
+      if (now.getTime() < coolDown.endTime) {
         // --- During cool-down period ---
-        const elapsed = now - coolDownStartTime;
-        const duration = coolDownEndTime - coolDownStartTime;
-
-        // Interpolate from manipulation end value to the real market price
-        newPrice = calculateManipulatedPrice(
-          {
-            startPrice: manip.endValue,
-            endValue: currentMarketPrice,
-            durationMs: duration,
-          },
-          elapsed
-        );
+        // Interpolate from the price the cool-down started at to its stored market price
+        newPrice = coolDownPrice(coolDown, now.getTime());
       } else {
         // --- Cool-down has ended ---
         console.log(`Cool-down for ${symbol} ended. Reverting to real price.`);
         manip.isCoolingDown = false;
+        await manipulationQueue.setStatus(manip.manipulationId, 'COMPLETED');
         // Reset manipulation state
         doc.manipulation = { isActive: false, isCoolingDown: false };
         newPrice = currentMarketPrice;
@@ -167,83 +214,146 @@ async function tick(options = {}) {
 
     await doc.save();
 
-    // Notify the order executor of the price change
-    await orderExecutor.processPriceUpdate(symbol, doc.price);
-    updatedPrices.push(doc);
+    // Notify the order executor of the price change; a paused symbol triggers no orders
+    await orderExecutor.processPriceUpdate(symbol, doc.price, { halted: listed.status !== 'TRADING' });
+    await priceAlerts.processPriceUpdate(symbol, doc.price, { previousHigh, previousLow })
+      .catch((err) => console.error(`Price alert error for ${symbol}:`, err.message));
+
+    // Fold the published price into the stored candles, then push the tick and candles to subscribers
+    const candles = await candleStore.recordTick(symbol, doc.price, now)
+      .catch((err) => {
+        console.error(`Candle store error for ${symbol}:`, err.message);
+        return [];
+      });
+    marketStream.publishTick(doc);
+    marketStream.publishCandles(candles);
   }
+}
 
-  // Broadcast the updated prices to all WebSocket clients
-  if (wss && wss.clients.size > 0) {
-    const message = JSON.stringify(updatedPrices);
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) {
-        client.send(message);
-      }
-    });
-  }
+/**
+ * Schedules a reconnect of a symbol's trade stream with exponential backoff and jitter.
+ * @param {string} symbol - The trading symbol.
+ */
+function scheduleReconnect(symbol) {
+  const state = streamState.get(symbol);
+  if (stopping || !state || state.reconnectTimer) return;
+
+  const delay = Math.min(reconnectBaseMs() * 2 ** state.attempts, reconnectMaxMs());
+  const jitter = Math.random() * delay * 0.2;
+  state.attempts += 1;
+  console.log(`Reconnecting ${symbol} trade stream in ${Math.round(delay + jitter)}ms (attempt ${state.attempts})`);
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    connectStream(symbol);
+  }, delay + jitter);
 }
 
-async function connectToBinance(symbol) {
-  if (wsConnections.has(symbol)) {
+function connectStream(symbol) {
+  if (wsConnections.has(symbol) || stopping) {
     return;
   }
-  console.log(`Connecting to Binance WebSocket for ${symbol}`);
-
-  const wsUrl = `wss://stream.binance.com:9443/ws/${symbol.toLowerCase()}@trade`;
-  const ws = new WebSocket(wsUrl);
-  wsConnections.set(symbol, ws);
-
-  ws.on('message', async (data) => {
-    try {
-      const trade = JSON.parse(data);
-      if (trade && trade.p) {
-        const price = parseFloat(trade.p);
-        latestWsPrices.set(symbol, price);
-      }
-    } catch (error) {
-      console.error(`Error processing WebSocket message for ${symbol}:`, error);
-    }
-  });
-
-  ws.on('error', (error) => {
-    console.error(`Binance WebSocket error for ${symbol}:`, error.message);
+  const provider = marketData.getPriceProvider();
+  console.log(`Connecting to ${provider.name} trade stream for ${symbol}`);
+
+  if (!streamState.has(symbol)) streamState.set(symbol, { connected: false, attempts: 0, reconnectTimer: null, lastUpdate: null });
+  const state = streamState.get(symbol);
+
+  let stream = null;
+  stream = marketData.streamTrades(symbol, {
+    onTrade: (trade) => {
+      if (wsConnections.get(symbol) !== stream) return;
+      // Age is measured from receipt, so a skewed exchange clock cannot make a price look fresh
+      state.lastUpdate = new Date();
+      latestWsPrices.set(symbol, { price: trade.price, time: state.lastUpdate });
+    },
+    onOpen: () => {
+      console.log(`Trade stream opened for ${symbol}`);
+      state.connected = true;
+      state.attempts = 0;
+    },
+    onClose: () => {
+      console.log(`Trade stream for ${symbol} disconnected.`);
+      state.connected = false;
+      // A stream closed by disconnectStream or replaced since is not reconnected
+      if (wsConnections.get(symbol) !== stream) return;
+      wsConnections.delete(symbol);
+      scheduleReconnect(symbol);
+    },
   });
+  if (stream) wsConnections.set(symbol, stream);
+}
 
-  ws.on('close', () => {
-    console.log(`WebSocket for ${symbol} disconnected.`);
-    wsConnections.delete(symbol);
-    // Optional: implement a reconnect logic if desired
-    // setTimeout(() => connectToBinance(symbol), 5000);
-  });
+/**
+ * Closes a symbol's trade stream for good and forgets its feed state, e.g. once it is delisted.
+ * @param {string} symbol - The trading symbol.
+ */
+function disconnectStream(symbol) {
+  const state = streamState.get(symbol);
+  if (state && state.reconnectTimer) clearTimeout(state.reconnectTimer);
+  streamState.delete(symbol);
+  feedStatus.delete(symbol);
+  latestWsPrices.delete(symbol);
+
+  const stream = wsConnections.get(symbol);
+  wsConnections.delete(symbol);
+  if (stream) {
+    console.log(`Closing trade stream for ${symbol}`);
+    stream.close();
+  }
+}
 
-  ws.on('open', () => {
-    console.log(`WebSocket connection opened for ${symbol}`);
+/**
+ * Reports where each symbol's price comes from and how fresh it is.
+ * @returns {Array<object>} One entry per symbol seen by the updater.
+ */
+function getFeedHealth() {
+  const now = Date.now();
+  const tracked = new Set([...streamState.keys(), ...feedStatus.keys()]);
+  return [...tracked].sort().map((symbol) => {
+    const feed = feedStatus.get(symbol);
+    const stream = streamState.get(symbol);
+    const streamAgeMs = stream && stream.lastUpdate ? now - stream.lastUpdate : null;
+    return {
+      symbol,
+      source: feed ? feed.source : null,
+      lastTickAt: feed ? feed.updatedAt : null,
+      tickAgeMs: feed ? now - feed.updatedAt : null,
+      stream: stream
+        ? {
+          connected: stream.connected,
+          lastUpdate: stream.lastUpdate,
+          ageMs: streamAgeMs,
+          stale: streamAgeMs === null || streamAgeMs > staleAfterMs(),
+          reconnectAttempts: stream.attempts,
+        }
+        : null,
+    };
   });
 }
 
 function start(options = {}) {
-  const { wss } = options;
+  stopping = false;
   const intervalMs = parseInt(process.env.PRICE_UPDATE_INTERVAL_MS || options.intervalMs || '1000', 10);
-  const symbols = options.symbols || DEFAULT_SYMBOLS.map((s) => s.symbol);
   const volatility = options.volatility || parseFloat(process.env.PRICE_VOLATILITY || '0.02');
 
-  // seed default symbols if missing
-  seedIfEmpty(DEFAULT_SYMBOLS).catch((err) => console.error('Price seeding error', err));
-
-  // Connect to Binance for each symbol
-  symbols.forEach((symbol) => {
-    if (!wsConnections.has(symbol)) {
-      connectToBinance(symbol).catch(err => console.error(`Failed to connect to ${symbol} WS:`, err));
-    }
-  });
+  // List the initial symbols on a fresh database, then open their trade streams; each tick
+  // re-reads the listing and opens or closes streams as symbols are listed, paused or delisted
+  symbols.seedIfEmpty()
+    .then(() => symbols.listPriced())
+    .then((listing) => syncStreams(listing.map((s) => s.symbol)))
+    .catch((err) => console.error('Symbol seeding error', err));
 
   if (intervalHandle) clearInterval(intervalHandle); // Clear existing interval if any
 
   intervalHandle = setInterval(() => {
-    tick({ symbols, volatility, wss }).catch((err) => console.error('Price tick error', err));
+    if (ticking) return;
+    ticking = true;
+    tick({ volatility })
+      .catch((err) => console.error('Price tick error', err))
+      .finally(() => { ticking = false; });
   }, intervalMs);
 
-  console.log(`Price updater started: interval=${intervalMs}ms`);
+  console.log(`Price updater started: interval=${intervalMs}ms, provider=${marketData.getPriceProvider().name}`);
 }
 
 function stop() {
@@ -252,9 +362,16 @@ function stop() {
     clearInterval(intervalHandle);
     intervalHandle = null;
   }
-  // This clears our loop condition in connectToBinance
+  // Stop reconnecting and close every open stream
+  stopping = true;
+  streamState.forEach((state) => {
+    if (state.reconnectTimer) clearTimeout(state.reconnectTimer);
+    state.reconnectTimer = null;
+  });
+  wsConnections.forEach((stream) => stream.close());
   wsConnections.clear();
+  latestWsPrices.clear();
   console.log('Price updater stopped');
 }
 
-module.exports = { start, stop, tick, calculateManipulatedPrice };
+module.exports = { start, stop, tick, getFeedHealth, calculateManipulatedPrice };
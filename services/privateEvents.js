@@ -0,0 +1,74 @@
+const userSockets = require('./userSockets');
+
+// Private events pushed to a user's authenticated WebSocket connections. They are sent after the
+// change is committed, so a client never sees a state that was rolled back.
+
+/**
+ * The fields of a conditional order that clients need to track it.
+ * @param {object} order - The order document.
+ * @returns {object}
+ */
+function formatOrder(order) {
+  return {
+    orderId: order._id,
+    symbol: order.symbol,
+    type: order.type,
+    ocoLeg: order.ocoLeg,
+    side: order.side,
+    status: order.status,
+    amount: order.amount,
+    filledAmount: order.filledAmount || 0,
+    averageFillPrice: order.averageFillPrice,
+    stopPrice: order.stopPrice,
+    limitPrice: order.limitPrice,
+    updatedAt: order.updatedAt,
+  };
+}
+
+/**
+ * Announces the new status of one or more conditional orders to their owners.
+ * @param {...object} orders - Order documents; null entries are skipped.
+ */
+function ordersUpdated(...orders) {
+  for (const order of orders) {
+    if (order) userSockets.sendToUser(order.user, 'order', formatOrder(order));
+  }
+}
+
+/**
+ * Announces an executed fill.
+ * @param {string} userId - The user ID.
+ * @param {object} fill - The result of `tradeEngine.executeFill`.
+ */
+function fillExecuted(userId, fill) {
+  const { order, ...details } = fill;
+  userSockets.sendToUser(userId, 'fill', { ...details, orderId: order ? order._id : null });
+}
+
+/**
+ * Announces a change to the user's cash balance.
+ * @param {object} user - The user document after the change.
+ * @param {string} reason - What changed it, e.g. 'deposit', 'withdrawal' or 'trade'.
+ */
+function balanceChanged(user, reason) {
+  const lockedBalance = user.lockedBalance || 0;
+  userSockets.sendToUser(user._id, 'balance', {
+    balance: user.balance,
+    lockedBalance,
+    availableBalance: user.balance - lockedBalance,
+    reason,
+  });
+}
+
+/**
+ * Announces an admin's verification decision.
+ * @param {object} user - The user document after the decision.
+ */
+function verificationDecided(user) {
+  userSockets.sendToUser(user._id, 'verification', {
+    status: user.verification.status,
+    rejectionReason: user.verification.rejectionReason,
+  });
+}
+
+module.exports = { formatOrder, ordersUpdated, fillExecuted, balanceChanged, verificationDecided };
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Asset = require('../models/Asset');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const feeSchedule = require('./feeSchedule');
+const privateEvents = require('./privateEvents');
+const symbols = require('./symbols');
+const tradingRules = require('../utils/tradingRules');
+const { TradeError } = require('../utils/tradeError');
+
+// Conditional orders that are still working: waiting for a trigger or resting on the book
+const OPEN_ORDER_STATUSES = ['ACTIVE', 'TRIGGERED', 'PARTIALLY_FILLED'];
+
+// Aggregation expressions for the spendable part of a balance or holding
+const availableBalanceExpr = { $subtract: ['$balance', { $ifNull: ['$lockedBalance', 0] }] };
+const availableAmountExpr = { $subtract: ['$amount', { $ifNull: ['$lockedAmount', 0] }] };
+
+/**
+ * Locks funds or asset quantity so they cannot be spent elsewhere.
+ * The lock only succeeds if enough of the balance/holding is still available.
+ * @param {object} params - The reservation parameters.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.symbol - The trading symbol.
+ * @param {number} [params.funds] - USD to lock (BUY orders).
+ * @param {number} [params.quantity] - Asset quantity to lock (SELL orders).
+ * @param {object} params.session - The mongoose session.
+ */
+async function lock({ userId, symbol, funds = 0, quantity = 0, session }) {
+  if (funds > 0) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, $expr: { $gte: [availableBalanceExpr, funds] } },
+      { $inc: { lockedBalance: funds } },
+      { new: true, session }
+    );
+    if (!user) throw new TradeError('Insufficient available balance');
+  }
+  if (quantity > 0) {
+    const asset = await Asset.findOneAndUpdate(
+      { user: userId, crypto: symbol, $expr: { $gte: [availableAmountExpr, quantity] } },
+      { $inc: { lockedAmount: quantity } },
+      { new: true, session }
+    );
+    if (!asset) throw new TradeError('Insufficient available holdings');
+  }
+}
+
+/**
+ * Returns previously locked funds or quantity to the available pool.
+ * @param {object} params - Same shape as for `lock`.
+ */
+async function unlock({ userId, symbol, funds = 0, quantity = 0, session }) {
+  if (funds > 0) {
+    await User.updateOne({ _id: userId }, { $inc: { lockedBalance: -funds } }, { session });
+  }
+  if (quantity > 0) {
+    await Asset.updateOne({ user: userId, crypto: symbol }, { $inc: { lockedAmount: -quantity } }, { session });
+  }
+}
+
+/**
+ * Pushes the user's balance after a committed transaction changed their locked funds.
+ * The user is reloaded, so the event reflects every lock and unlock the transaction made.
+ * Never throws: the change is already committed.
+ * @param {string} userId - The user ID.
+ * @param {string} [reason] - The balance change reason.
+ * @returns {Promise<void>}
+ */
+async function announceBalance(userId, reason = 'reservation') {
+  try {
+    const user = await User.findById(userId).select('balance lockedBalance').lean();
+    if (user) privateEvents.balanceChanged(user, reason);
+  } catch (err) {
+    console.error(`Balance event error for user ${userId}:`, err.message);
+  }
+}
+
+/**
+ * Works out what an order needs reserved for a given quantity.
+ * BUY orders lock the notional at the worst expected price plus the taker fee; SELL orders lock the quantity.
+ * @param {object} params - The order parameters.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.side - 'BUY' or 'SELL'.
+ * @param {number} params.amount - The order quantity.
+ * @param {number} params.referencePrice - The highest price a BUY could fill at.
+ * @param {object} [params.session] - Optional mongoose session.
+ * @returns {Promise<{funds: number, quantity: number}>}
+ */
+async function requiredReservation({ userId, side, amount, referencePrice, session = null }) {
+  if (side === 'SELL') return { funds: 0, quantity: amount };
+  const notional = amount * referencePrice;
+  const { fee } = await feeSchedule.calculateFee({ userId, notional, liquidity: 'TAKER', session });
+  return { funds: notional + fee, quantity: 0 };
+}
+
+/**
+ * The highest price a BUY order is expected to fill at, used to size its reservation.
+ * @param {object} order - The order document or fields.
+ * @returns {number}
+ */
+function referencePriceFor(order) {
+  if (order.type === 'TRAILING_STOP') {
+    const ref = order.trailingReferencePrice || 0;
+    const { type, value } = order.trailingDelta || {};
+    return ref + (type === 'PERCENTAGE' ? ref * (value / 100) : value || 0);
+  }
+  return order.limitPrice || order.stopPrice || 0;
+}
+
+/**
+ * Creates one or more linked conditional orders and reserves what they need, atomically.
+ * All legs must share user, symbol, side and amount; the first leg holds the reservation
+ * (sized for the most expensive leg) and the others draw on it via `reservationHolder`.
+ * Rejected unless the symbol is listed and trading and every leg meets its trading rules
+ * (callers round the fields first, see utils/tradingRules).
+ * @param {Array<{fields: object, referencePrice: number}>} legs - The orders to create.
+ * @returns {Promise<Array>} The created order documents, in the same order as `legs`.
+ */
+async function placeOrders(legs) {
+  const listing = await symbols.assertTradable(legs[0].fields.symbol);
+  const rules = tradingRules.rulesOf(listing);
+  for (const leg of legs) tradingRules.assertOrder(rules, leg.fields, leg.referencePrice);
+  const session = await mongoose.startSession();
+  let created;
+
+  try {
+    await session.withTransaction(async () => {
+      const [{ fields: first }] = legs;
+      const referencePrice = Math.max(...legs.map((l) => l.referencePrice || 0));
+      const reservation = await requiredReservation({
+        userId: first.user,
+        side: first.side,
+        amount: first.amount,
+        referencePrice,
+        session,
+      });
+      await lock({ userId: first.user, symbol: first.symbol, ...reservation, session });
+
+      created = [];
+      for (const [i, leg] of legs.entries()) {
+        const order = new ConditionalOrder(leg.fields);
+        if (i === 0) {
+          order.reservedFunds = reservation.funds;
+          order.reservedQuantity = reservation.quantity;
+        } else {
+          order.reservationHolder = created[0]._id;
+        }
+        created.push(order);
+      }
+      for (const order of created) await order.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  // BUY orders lock funds; SELL orders only lock holdings
+  if (created[0].reservedFunds > 0) await announceBalance(created[0].user);
+  return created;
+}
+
+/**
+ * Re-sizes a reservation after its orders were amended, locking or unlocking the difference.
+ * Must be called inside a transaction.
+ * @param {Array} orders - The loaded orders sharing the reservation (the holder and any legs drawing on it).
+ * @param {object} session - The mongoose session.
+ */
+async function resizeReservation(orders, session) {
+  const holder = orders.find((o) => !o.reservationHolder) || orders[0];
+  const remaining = holder.amount - (holder.filledAmount || 0);
+  const required = await requiredReservation({
+    userId: holder.user,
+    side: holder.side,
+    amount: remaining,
+    referencePrice: Math.max(...orders.map(referencePriceFor)),
+    session,
+  });
+
+  const fundsDiff = required.funds - (holder.reservedFunds || 0);
+  const quantityDiff = required.quantity - (holder.reservedQuantity || 0);
+  const base = { userId: holder.user, symbol: holder.symbol, session };
+  await lock({ ...base, funds: Math.max(fundsDiff, 0), quantity: Math.max(quantityDiff, 0) });
+  await unlock({ ...base, funds: Math.max(-fundsDiff, 0), quantity: Math.max(-quantityDiff, 0) });
+
+  holder.reservedFunds = required.funds;
+  holder.reservedQuantity = required.quantity;
+  await holder.save({ session });
+}
+
+/**
+ * Releases the reservation held by an order that is leaving the book.
+ * If another open order still draws on it, the reservation is handed over instead.
+ * Must be called inside a transaction, after the order's status has been changed.
+ * @param {object} order - The order document (loaded in `session`).
+ * @param {object} session - The mongoose session.
+ */
+async function releaseOrder(order, session) {
+  const funds = order.reservedFunds || 0;
+  const quantity = order.reservedQuantity || 0;
+  if (funds <= 0 && quantity <= 0) return;
+
+  order.reservedFunds = 0;
+  order.reservedQuantity = 0;
+  await order.save({ session });
+
+  const heir = await ConditionalOrder.findOne({
+    reservationHolder: order._id,
+    status: { $in: OPEN_ORDER_STATUSES },
+  }).session(session);
+
+  if (heir) {
+    heir.reservedFunds = funds;
+    heir.reservedQuantity = quantity;
+    heir.reservationHolder = undefined;
+    await heir.save({ session });
+    await ConditionalOrder.updateMany(
+      { reservationHolder: order._id, _id: { $ne: heir._id } },
+      { $set: { reservationHolder: heir._id } },
+      { session }
+    );
+    return;
+  }
+
+  await unlock({ userId: order.user, symbol: order.symbol, funds, quantity, session });
+}
+
+/**
+ * Returns the id of the other leg of an OCO order, or null for any other order.
+ * @param {object} order - The order document.
+ * @returns {object|null}
+ */
+function ocoSiblingId(order) {
+  if (order.type !== 'OCO' || !order.ocoPair) return null;
+  return order.ocoLeg === 'STOP' ? order.ocoPair.limitOrderId : order.ocoPair.stopOrderId;
+}
+
+/**
+ * Cancels (or expires) an order inside the running transaction and releases (or hands over)
+ * its reservation. Orders that are no longer open are left untouched.
+ * @param {object} order - The order document (loaded in `session`).
+ * @param {object} session - The mongoose session.
+ * @param {string} [status] - 'CANCELED' or 'EXPIRED'.
+ * @returns {Promise<boolean>} Whether the order was closed.
+ */
+async function cancelInSession(order, session, status = 'CANCELED') {
+  if (!OPEN_ORDER_STATUSES.includes(order.status)) return false;
+  order.status = status;
+  if (status === 'EXPIRED') order.expiredAt = new Date();
+  else order.canceledAt = new Date();
+  await order.save({ session });
+  await releaseOrder(order, session);
+  return true;
+}
+
+/**
+ * Cancels the other leg of an OCO order, if it is still open.
+ * @param {object} order - The OCO leg that filled or was canceled.
+ * @param {object} session - The mongoose session.
+ * @param {string} [status] - 'CANCELED' or 'EXPIRED'.
+ * @returns {Promise<object|null>} The canceled sibling, if any.
+ */
+async function cancelOcoSibling(order, session, status = 'CANCELED') {
+  const siblingId = ocoSiblingId(order);
+  if (!siblingId) return null;
+  const sibling = await ConditionalOrder.findById(siblingId).session(session);
+  if (!sibling) return null;
+  return (await cancelInSession(sibling, session, status)) ? sibling : null;
+}
+
+/**
+ * Cancels an open order and releases its reservation in one transaction.
+ * Cancelling either leg of an OCO order cancels the other one too.
+ * @param {string} orderId - The order ID.
+ * @param {string} userId - The owner, or null to skip the ownership check.
+ * @returns {Promise<object>} The canceled order.
+ */
+async function cancelOrder(orderId, userId = null) {
+  const session = await mongoose.startSession();
+  let order;
+  let sibling;
+
+  try {
+    await session.withTransaction(async () => {
+      const filter = { _id: orderId };
+      if (userId) filter.user = userId;
+      order = await ConditionalOrder.findOne(filter).session(session);
+      if (!order) throw new TradeError('Order not found.', 404);
+      if (!(await cancelInSession(order, session))) throw new TradeError('Only open orders can be canceled.');
+      sibling = await cancelOcoSibling(order, session);
+    });
+  } finally {
+    session.endSession();
+  }
+
+  privateEvents.ordersUpdated(order, sibling);
+  if (order.side === 'BUY') await announceBalance(order.user);
+  return order;
+}
+
+/**
+ * Takes the slice of a reservation that a fill consumes, proportionally to the
+ * holder's unfilled quantity. Mutates the holder; the caller saves it.
+ * @param {object} holder - The order holding the reservation.
+ * @param {number} fillAmount - The quantity being filled.
+ * @returns {{funds: number, quantity: number}} The amounts to unlock for this fill.
+ */
+function takeFillShare(holder, fillAmount) {
+  const remaining = holder.amount - (holder.filledAmount || 0);
+  const share = remaining > 0 ? Math.min(1, fillAmount / remaining) : 1;
+  const funds = (holder.reservedFunds || 0) * share;
+  const quantity = (holder.reservedQuantity || 0) * share;
+  holder.reservedFunds = (holder.reservedFunds || 0) - funds;
+  holder.reservedQuantity = (holder.reservedQuantity || 0) - quantity;
+  return { funds, quantity };
+}
+
+module.exports = {
+  OPEN_ORDER_STATUSES,
+  availableBalanceExpr,
+  announceBalance,
+  availableAmountExpr,
+  referencePriceFor,
+  placeOrders,
+  resizeReservation,
+  releaseOrder,
+  ocoSiblingId,
+  cancelInSession,
+  cancelOcoSibling,
+  cancelOrder,
+  takeFillShare,
+};
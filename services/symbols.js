@@ -0,0 +1,129 @@
+const TradingSymbol = require('../models/Symbol');
+const MarketPrice = require('../models/MarketPrice');
+const { TradeError } = require('../utils/tradeError');
+
+const SYMBOL_STATUSES = ['TRADING', 'PAUSED', 'DELISTED'];
+// Statuses whose prices are still updated and published
+const PRICED_STATUSES = ['TRADING', 'PAUSED'];
+
+// Listed on a fresh database
+const INITIAL_SYMBOLS = [
+  {
+    symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', displayName: 'Bitcoin', initialPrice: 40000,
+    stepSize: 0.00001, tickSize: 0.01, minQuantity: 0.00001, maxQuantity: 1000, minNotional: 10,
+  },
+  {
+    symbol: 'ETHUSDT', baseAsset: 'ETH', quoteAsset: 'USDT', displayName: 'Ethereum', initialPrice: 2500,
+    stepSize: 0.0001, tickSize: 0.01, minQuantity: 0.0001, maxQuantity: 10000, minNotional: 10,
+  },
+  {
+    symbol: 'LTCUSDT', baseAsset: 'LTC', quoteAsset: 'USDT', displayName: 'Litecoin', initialPrice: 150,
+    stepSize: 0.001, tickSize: 0.01, minQuantity: 0.001, maxQuantity: 100000, minNotional: 10,
+  },
+];
+
+// Trading rule fields of a symbol, see utils/tradingRules
+const RULE_FIELDS = ['stepSize', 'tickSize', 'minQuantity', 'maxQuantity', 'minNotional'];
+
+const QUOTE_ASSETS = ['USDT', 'USDC', 'BUSD', 'USD', 'BTC', 'ETH'];
+
+/**
+ * Splits a symbol such as 'BTCUSDT' into base and quote assets by its quote suffix.
+ * @param {string} symbol - The trading symbol.
+ * @returns {{baseAsset: string, quoteAsset: string}|null} null if no known quote asset matches.
+ */
+function splitSymbol(symbol) {
+  const quoteAsset = QUOTE_ASSETS.find((q) => symbol.endsWith(q) && symbol.length > q.length);
+  return quoteAsset ? { baseAsset: symbol.slice(0, -quoteAsset.length), quoteAsset } : null;
+}
+
+/**
+ * Lists the initial symbols if none are listed yet. Symbols that already have a market price
+ * (from before symbols were managed) are listed as well, so existing markets keep trading.
+ * @returns {Promise<void>}
+ */
+async function seedIfEmpty() {
+  if (await TradingSymbol.exists({})) return;
+
+  const docs = INITIAL_SYMBOLS.map((s) => ({ ...s }));
+  const priced = await MarketPrice.find({}).select('symbol price');
+  for (const p of priced) {
+    if (docs.some((d) => d.symbol === p.symbol)) continue;
+    const parts = splitSymbol(p.symbol);
+    if (!parts) continue;
+    docs.push({ symbol: p.symbol, ...parts, displayName: p.symbol, initialPrice: p.price });
+  }
+  await TradingSymbol.insertMany(docs, { ordered: false });
+}
+
+// Statuses each status can be reached from: pause a trading symbol, delist a trading or paused one, relist either
+const TRANSITIONS = {
+  PAUSED: ['TRADING'],
+  DELISTED: ['TRADING', 'PAUSED'],
+  TRADING: ['PAUSED', 'DELISTED'],
+};
+
+/**
+ * Changes a symbol's status. The price updater picks the change up on its next tick.
+ * @param {string} symbol - The trading symbol.
+ * @param {string} status - The new status.
+ * @param {object} [change] - { changedBy, reason }.
+ * @returns {Promise<object>} The updated symbol document.
+ * @throws {TradeError} 404 for an unknown symbol, 409 for a transition not allowed from its current status.
+ */
+async function setStatus(symbol, status, { changedBy, reason } = {}) {
+  const current = await TradingSymbol.findOne({ symbol });
+  if (!current) throw new TradeError('Symbol not found', 404);
+
+  // Conditional on the status read, so concurrent changes cannot skip a transition check
+  const updated = await TradingSymbol.findOneAndUpdate(
+    { _id: current._id, status: { $in: TRANSITIONS[status] } },
+    { status, statusReason: reason, statusChangedBy: changedBy, statusChangedAt: new Date() },
+    { new: true }
+  );
+  if (!updated) throw new TradeError(`Cannot change ${symbol} from ${current.status} to ${status}.`, 409);
+  return updated;
+}
+
+/**
+ * The symbols the price updater should price: TRADING and PAUSED.
+ * @returns {Promise<Array>} Lean symbol documents.
+ */
+async function listPriced() {
+  return TradingSymbol.find({ status: { $in: PRICED_STATUSES } }).sort({ symbol: 1 }).lean();
+}
+
+/**
+ * Returns a listed (not delisted) symbol.
+ * @param {string} symbol - The trading symbol.
+ * @returns {Promise<object|null>}
+ */
+async function findListed(symbol) {
+  return TradingSymbol.findOne({ symbol, status: { $in: PRICED_STATUSES } }).lean();
+}
+
+/**
+ * Returns a symbol that accepts orders, or throws.
+ * @param {string} symbol - The trading symbol.
+ * @returns {Promise<object>} The lean symbol document.
+ * @throws {TradeError} 404 if the symbol is not listed, 409 if trading is paused.
+ */
+async function assertTradable(symbol) {
+  const listed = await findListed(symbol);
+  if (!listed) throw new TradeError('Symbol not found', 404);
+  if (listed.status !== 'TRADING') throw new TradeError(`Trading in ${symbol} is paused.`, 409);
+  return listed;
+}
+
+module.exports = {
+  SYMBOL_STATUSES,
+  PRICED_STATUSES,
+  INITIAL_SYMBOLS,
+  RULE_FIELDS,
+  splitSymbol,
+  seedIfEmpty,
+  listPriced,
+  findListed,
+  assertTradable,
+  setStatus,
+};
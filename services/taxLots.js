@@ -0,0 +1,89 @@
+const TaxLot = require('../models/TaxLot');
+
+// Lots with less than this left are closed out, to absorb floating point dust
+const LOT_EPSILON = 1e-9;
+
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'AVERAGE'];
+
+/**
+ * Records the acquisition from a BUY fill as a new lot.
+ * @param {object} params - The acquisition.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.symbol - The trading symbol.
+ * @param {number} params.quantity - The quantity bought.
+ * @param {number} params.price - The execution price.
+ * @param {number} params.fee - The fee charged on the fill; it is part of the lot's cost.
+ * @param {object} params.trade - The trade transaction.
+ * @param {object} session - The mongoose session.
+ * @returns {Promise<object>} The new lot.
+ */
+async function addLot({ userId, symbol, quantity, price, fee, trade }, session) {
+  const lot = new TaxLot({
+    user: userId,
+    symbol,
+    quantity,
+    remaining: quantity,
+    costPerUnit: (quantity * price + fee) / quantity,
+    acquiredAt: trade.date,
+    trade: trade._id,
+  });
+  await lot.save({ session });
+  return lot;
+}
+
+/**
+ * Relieves open lots for a sale and returns the cost basis of the quantity sold.
+ * FIFO takes the oldest lots first and LIFO the newest. AVERAGE prices the sale at the
+ * weighted average cost of all open lots and reduces each of them proportionally, so the
+ * average of what is left does not change.
+ * Holdings bought before lots were tracked have no lots; any quantity the lots do not
+ * cover is costed at `fallbackCostPerUnit` (the asset's average price).
+ * @param {object} params - The sale.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.symbol - The trading symbol.
+ * @param {number} params.quantity - The quantity sold.
+ * @param {string} params.method - 'FIFO', 'LIFO' or 'AVERAGE'.
+ * @param {number} params.fallbackCostPerUnit - Cost per unit for quantity not covered by lots.
+ * @param {object} session - The mongoose session.
+ * @returns {Promise<{costBasis: number, relievedLots: Array<{lot: object, quantity: number, costPerUnit: number}>}>}
+ */
+async function relieveLots({ userId, symbol, quantity, method, fallbackCostPerUnit }, session) {
+  const lots = await TaxLot.find({ user: userId, symbol, remaining: { $gt: LOT_EPSILON } })
+    .sort({ acquiredAt: method === 'LIFO' ? -1 : 1, _id: method === 'LIFO' ? -1 : 1 })
+    .session(session);
+
+  const held = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+  const fromLots = Math.min(quantity, held);
+  const relievedLots = [];
+  let costBasis = 0;
+
+  if (method === 'AVERAGE' && held > 0) {
+    const averageCost = lots.reduce((sum, lot) => sum + lot.remaining * lot.costPerUnit, 0) / held;
+    const share = fromLots / held;
+    for (const lot of lots) {
+      const taken = lot.remaining * share;
+      relievedLots.push({ lot: lot._id, quantity: taken, costPerUnit: averageCost });
+      lot.remaining = lot.remaining - taken <= LOT_EPSILON ? 0 : lot.remaining - taken;
+      await lot.save({ session });
+    }
+    costBasis = fromLots * averageCost;
+  } else {
+    let left = fromLots;
+    for (const lot of lots) {
+      if (left <= LOT_EPSILON) break;
+      const taken = Math.min(lot.remaining, left);
+      relievedLots.push({ lot: lot._id, quantity: taken, costPerUnit: lot.costPerUnit });
+      costBasis += taken * lot.costPerUnit;
+      lot.remaining = lot.remaining - taken <= LOT_EPSILON ? 0 : lot.remaining - taken;
+      left -= taken;
+      await lot.save({ session });
+    }
+  }
+
+  const uncovered = quantity - fromLots;
+  if (uncovered > LOT_EPSILON) costBasis += uncovered * (fallbackCostPerUnit || 0);
+
+  return { costBasis, relievedLots };
+}
+
+module.exports = { COST_BASIS_METHODS, addLot, relieveLots };
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Asset = require('../models/Asset');
+const Transaction = require('../models/Transaction');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const feeSchedule = require('./feeSchedule');
+const reservations = require('./reservations');
+const taxLots = require('./taxLots');
+const privateEvents = require('./privateEvents');
+const marketStream = require('./marketStream');
+const candleStore = require('./candleStore');
+const { TradeError } = require('../utils/tradeError');
+
+// Quantities below this are treated as fully filled to absorb floating point dust
+const FILL_EPSILON = 1e-9;
+
+/**
+ * Loads a conditional order inside the running transaction and takes the part of its
+ * reservation this fill consumes. Re-reading in the session means a concurrent cancel
+ * or fill is never overwritten.
+ * @param {string} orderId - The conditional order being filled.
+ * @param {number} amount - The quantity being filled.
+ * @param {object} session - The mongoose session.
+ * @param {number} [expectedVersion] - The order version the fill was worked out from; the fill
+ *   is rejected if the order was amended, filled or canceled since.
+ * @returns {Promise<{order: object, release: {funds: number, quantity: number}}>}
+ */
+async function claimOrderForFill(orderId, amount, session, expectedVersion) {
+  const order = await ConditionalOrder.findById(orderId).session(session);
+  if (!order || !reservations.OPEN_ORDER_STATUSES.includes(order.status)) {
+    throw new TradeError('Order is no longer open', 409);
+  }
+  if (expectedVersion !== undefined && order.__v !== expectedVersion) {
+    throw new TradeError('Order changed since it was evaluated', 409);
+  }
+  // Never fill more than is still unfilled, whatever state the caller evaluated
+  if (amount > order.amount - (order.filledAmount || 0) + FILL_EPSILON) {
+    throw new TradeError('Fill exceeds the unfilled amount of the order', 409);
+  }
+
+  const holder = order.reservationHolder
+    ? await ConditionalOrder.findById(order.reservationHolder).session(session)
+    : order;
+  if (!holder) return { order, release: { funds: 0, quantity: 0 } };
+
+  const release = reservations.takeFillShare(holder, amount);
+  if (holder !== order) await holder.save({ session });
+  return { order, release };
+}
+
+/**
+ * Applies one fill to a conditional order inside the running transaction.
+ * @param {object} order - The order loaded by `claimOrderForFill`.
+ * @param {number} amount - The quantity filled.
+ * @param {number} price - The execution price.
+ * @param {object} tx - The trade transaction created for this fill.
+ * @param {object} session - The mongoose session.
+ * @returns {Promise<{order: object, canceledSibling: (object|null)}>} The updated order and the OCO leg it canceled.
+ */
+async function applyFillToOrder(order, amount, price, tx, session) {
+  const prevFilled = order.filledAmount || 0;
+  const newFilled = prevFilled + amount;
+  order.averageFillPrice = ((prevFilled * (order.averageFillPrice || 0)) + (amount * price)) / newFilled;
+  order.filledAmount = newFilled;
+  order.executedTradeId = tx._id;
+  if (order.amount - newFilled <= FILL_EPSILON) {
+    order.status = 'COMPLETED';
+    order.completedAt = new Date();
+  } else {
+    order.status = 'PARTIALLY_FILLED';
+  }
+  await order.save({ session });
+
+  // The first fill of either OCO leg cancels the other; its reservation passes to this leg
+  const canceledSibling = await reservations.cancelOcoSibling(order, session);
+  if (canceledSibling) {
+    console.log(`[TradeEngine] Canceled paired OCO order ${canceledSibling._id}`);
+  }
+
+  // Whatever is left of the reservation (e.g. price improvement on a BUY) goes back to the user
+  if (order.status === 'COMPLETED') await reservations.releaseOrder(order, session);
+  return { order, canceledSibling };
+}
+
+/**
+ * Executes a single fill atomically: balance, holdings, trade and fee ledger entries and
+ * (optionally) the originating conditional order are all written in one transaction.
+ * Fees are charged in the quote currency on both sides, at the maker or taker rate.
+ * BUY fills open a tax lot; SELL fills relieve lots by the user's cost-basis method and
+ * store the realized PnL on the trade entry.
+ * Balance and holdings are debited with conditional updates against the available
+ * (unlocked) amount, so two concurrent fills can never spend the same funds or sell the
+ * same units twice. Fills of conditional orders draw on the order's own reservation.
+ * @param {object} params - The fill parameters.
+ * @param {string} params.userId - The user ID.
+ * @param {string} params.symbol - The trading symbol.
+ * @param {string} params.side - 'BUY' or 'SELL'.
+ * @param {number} params.amount - The quantity to fill.
+ * @param {number} params.price - The execution price.
+ * @param {string} [params.orderId] - The conditional order this fill belongs to, if any.
+ * @param {string} [params.liquidity] - 'MAKER' for fills that rested on the book, otherwise 'TAKER'.
+ * @param {string} [params.source] - 'MANUAL' or the type of the conditional order behind the fill.
+ * @param {number} [params.orderVersion] - The version of the order the fill was evaluated against.
+ * @returns {Promise<object>} The fill result.
+ */
+async function executeFill({ userId, symbol, side, amount, price, orderId = null, liquidity = 'TAKER', source = 'MANUAL', orderVersion }) {
+  if (!['BUY', 'SELL'].includes(side)) throw new TradeError('side must be BUY or SELL');
+  if (!(amount > 0) || !(price > 0)) throw new TradeError('Amount and price must be positive');
+
+  const total = amount * price;
+  const session = await mongoose.startSession();
+  let result;
+  let user;
+  let canceledSibling = null;
+
+  try {
+    // withTransaction retries the whole callback on transient errors such as write conflicts
+    await session.withTransaction(async () => {
+      let relief = null;
+      canceledSibling = null;
+      const { fee, feeRate } = await feeSchedule.calculateFee({ userId, notional: total, liquidity, session });
+      const { order, release } = orderId
+        ? await claimOrderForFill(orderId, amount, session, orderVersion)
+        : { order: null, release: { funds: 0, quantity: 0 } };
+
+      if (side === 'BUY') {
+        const cost = total + fee;
+        // Available after this order's share of the lock is released must cover the cost
+        user = await User.findOneAndUpdate(
+          {
+            _id: userId,
+            $expr: { $gte: [{ $add: [reservations.availableBalanceExpr, release.funds] }, cost] },
+          },
+          { $inc: { balance: -cost, lockedBalance: -release.funds } },
+          { new: true, session }
+        );
+        if (!user) {
+          const exists = await User.exists({ _id: userId }).session(session);
+          throw exists ? new TradeError('Insufficient funds') : new TradeError('User not found', 404);
+        }
+
+        let asset = await Asset.findOne({ user: userId, crypto: symbol }).session(session);
+        if (!asset) {
+          asset = new Asset({ user: userId, crypto: symbol, amount, averagePrice: price });
+        } else {
+          // Recalculate average price
+          const prevAmount = asset.amount || 0;
+          const prevAvg = asset.averagePrice || 0;
+          const newAmount = prevAmount + amount;
+          asset.averagePrice = ((prevAmount * prevAvg) + (amount * price)) / newAmount;
+          asset.amount = newAmount;
+        }
+        await asset.save({ session });
+      } else { // SELL
+        const asset = await Asset.findOneAndUpdate(
+          {
+            user: userId,
+            crypto: symbol,
+            $expr: { $gte: [{ $add: [reservations.availableAmountExpr, release.quantity] }, amount] },
+          },
+          { $inc: { amount: -amount, lockedAmount: -release.quantity } },
+          { new: true, session }
+        );
+        if (!asset) throw new TradeError('Insufficient holdings');
+
+        if (asset.amount <= FILL_EPSILON) await asset.deleteOne({ session });
+
+        user = await User.findOneAndUpdate({ _id: userId }, { $inc: { balance: total - fee } }, { new: true, session });
+        if (!user) throw new TradeError('User not found', 404);
+
+        relief = await taxLots.relieveLots({
+          userId,
+          symbol,
+          quantity: amount,
+          method: user.costBasisMethod,
+          fallbackCostPerUnit: asset.averagePrice,
+        }, session);
+      }
+
+      const tx = new Transaction({
+        user: userId,
+        type: 'trade',
+        amount: side === 'BUY' ? -total : total,
+        symbol,
+        side,
+        quantity: amount,
+        price,
+        fee,
+        feeRate,
+        liquidity,
+        source,
+        conditionalOrder: orderId || undefined,
+      });
+      if (relief) {
+        tx.costBasis = relief.costBasis;
+        tx.realizedPnl = total - fee - relief.costBasis;
+        tx.relievedLots = relief.relievedLots;
+      }
+      await tx.save({ session });
+
+      if (side === 'BUY') await taxLots.addLot({ userId, symbol, quantity: amount, price, fee, trade: tx }, session);
+
+      if (fee > 0) {
+        await new Transaction({ user: userId, type: 'fee', amount: -fee, symbol, trade: tx._id }).save({ session });
+      }
+
+      if (order) ({ canceledSibling } = await applyFillToOrder(order, amount, price, tx, session));
+
+      result = {
+        tradeId: tx._id,
+        symbol,
+        side,
+        quantity: amount,
+        price,
+        total,
+        fee,
+        feeRate,
+        liquidity,
+        source,
+        costBasis: relief ? relief.costBasis : null,
+        realizedPnl: relief ? tx.realizedPnl : null,
+        // Kept for API compatibility: realized PnL net of fees, rounded to cents
+        gainLoss: relief ? +tx.realizedPnl.toFixed(2) : null,
+        newBalance: user.balance,
+        timestamp: tx.date,
+        order,
+      };
+    });
+  } finally {
+    session.endSession();
+  }
+
+  privateEvents.fillExecuted(userId, result);
+  // A conditional order's fill also unlocks its reservation, which `user` may predate
+  if (orderId) await reservations.announceBalance(userId, 'trade');
+  else privateEvents.balanceChanged(user, 'trade');
+  privateEvents.ordersUpdated(result.order, canceledSibling);
+  marketStream.publishTrade(result);
+  candleStore.recordTrade(symbol, result.quantity, result.timestamp)
+    .catch((err) => console.error(`Candle volume error for ${symbol}:`, err.message));
+  return result;
+}
+
+module.exports = { executeFill, TradeError, FILL_EPSILON };
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+
+/**
+ * Encodes the position of a ledger row as an opaque pagination cursor.
+ * @param {object} row - A ledger row (needs date and _id).
+ * @returns {string}
+ */
+function encodeCursor(row) {
+  return Buffer.from(`${row.date.toISOString()}|${row._id}`).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor.
+ * @param {string} cursor - The cursor from a previous page.
+ * @returns {{date: Date, id: object}|null} The position, or null if the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  const [iso, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(iso);
+  if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { date, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Builds the aggregation pipeline for a user's ledger, newest first.
+ * The balance after each row is derived from the current balance by undoing every newer entry
+ * (all types, before any filter is applied), so it stays correct on filtered and paged views.
+ * @param {object} params - The query.
+ * @param {string} params.userId - The user ID.
+ * @param {number} params.currentBalance - The user's balance now.
+ * @param {Array<string>} [params.types] - Transaction types to include.
+ * @param {Date} [params.from] - Earliest date (inclusive).
+ * @param {Date} [params.to] - Latest date (inclusive).
+ * @param {{date: Date, id: object}} [params.after] - Decoded cursor; only older rows are returned.
+ * @param {number} [params.limit] - Maximum number of rows.
+ * @returns {Array<object>} The pipeline.
+ */
+function ledgerPipeline({ userId, currentBalance, types, from, to, after, limit }) {
+  const filter = {};
+  if (types && types.length) filter.type = { $in: types };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  if (after) {
+    filter.$or = [
+      { date: { $lt: after.date } },
+      { date: after.date, _id: { $lt: after.id } },
+    ];
+  }
+
+  const pipeline = [
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $setWindowFields: {
+        sortBy: { date: -1, _id: -1 },
+        output: { newerTotal: { $sum: '$amount', window: { documents: ['unbounded', -1] } } },
+      },
+    },
+    { $addFields: { balanceAfter: { $subtract: [currentBalance, { $ifNull: ['$newerTotal', 0] }] } } },
+    { $project: { newerTotal: 0, relievedLots: 0 } },
+    { $match: filter },
+    { $sort: { date: -1, _id: -1 } },
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  return pipeline;
+}
+
+/**
+ * Runs the ledger query.
+ * @param {object} params - See `ledgerPipeline`.
+ * @returns {import('mongoose').Aggregate}
+ */
+function ledger(params) {
+  return Transaction.aggregate(ledgerPipeline(params));
+}
+
+module.exports = { encodeCursor, decodeCursor, ledgerPipeline, ledger };
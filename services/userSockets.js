@@ -0,0 +1,44 @@
+// Open WebSocket connections by user, for pushing private events
+const socketsByUser = new Map();
+
+/**
+ * Associates a connection with a user until it closes.
+ * @param {string} userId - The user the connection authenticated as.
+ * @param {object} ws - The WebSocket connection.
+ */
+function register(userId, ws) {
+  const key = String(userId);
+  if (!socketsByUser.has(key)) socketsByUser.set(key, new Set());
+  socketsByUser.get(key).add(ws);
+
+  ws.once('close', () => {
+    const sockets = socketsByUser.get(key);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) socketsByUser.delete(key);
+  });
+}
+
+/**
+ * Sends an event to every open connection of a user. Users without a connection are skipped.
+ * @param {string} userId - The recipient.
+ * @param {string} type - The event type, e.g. 'alert'.
+ * @param {object} data - The event payload.
+ * @returns {number} The number of connections the event was sent to.
+ */
+function sendToUser(userId, type, data) {
+  const sockets = socketsByUser.get(String(userId));
+  if (!sockets) return 0;
+
+  const message = JSON.stringify({ type, data });
+  let sent = 0;
+  for (const ws of sockets) {
+    if (ws.readyState === 1) {
+      ws.send(message);
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+module.exports = { register, sendToUser };
@@ -0,0 +1,154 @@
+const auth = require('../middleware/auth');
+const symbols = require('./symbols');
+const userSockets = require('./userSockets');
+const marketStream = require('./marketStream');
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10);
+const MAX_SUBSCRIPTIONS = parseInt(process.env.WS_MAX_SUBSCRIPTIONS || '50', 10);
+
+/**
+ * Sends a JSON frame to one connection if it is still open.
+ * @param {object} ws - The WebSocket connection.
+ * @param {string} type - The frame type.
+ * @param {object} data - The frame payload.
+ */
+function send(ws, type, data) {
+  if (ws.readyState === 1) ws.send(JSON.stringify({ type, data }));
+}
+
+/**
+ * Authenticates a connection with a JWT and starts delivering the user's private events to it.
+ * A connection authenticates at most once.
+ * @param {object} ws - The WebSocket connection.
+ * @param {string} token - The JWT, as used in the HTTP Authorization header.
+ * @returns {boolean} Whether authentication succeeded.
+ */
+function authenticate(ws, token) {
+  if (ws.userId) {
+    send(ws, 'error', { message: 'Already authenticated' });
+    return false;
+  }
+  try {
+    ws.userId = String(auth.verifyToken(token).userId);
+  } catch (err) {
+    send(ws, 'error', { message: 'Token is not valid' });
+    return false;
+  }
+  userSockets.register(ws.userId, ws);
+  send(ws, 'authenticated', { userId: ws.userId });
+  return true;
+}
+
+/**
+ * Subscribes a connection to a market-data channel and acknowledges it.
+ * @param {object} ws - The WebSocket connection.
+ * @param {object} message - The frame: { channel, id? }.
+ */
+async function handleSubscribe(ws, { channel, id }) {
+  const parsed = marketStream.parseChannel(channel);
+  if (parsed.error) return send(ws, 'error', { message: parsed.error, channel, id });
+  if (ws.channels.has(parsed.channel)) return send(ws, 'subscribed', { channel: parsed.channel, id });
+  if (ws.channels.size >= MAX_SUBSCRIPTIONS) {
+    return send(ws, 'error', { message: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection`, channel, id });
+  }
+  if (!(await symbols.findListed(parsed.symbol))) {
+    return send(ws, 'error', { message: `Unknown symbol: ${parsed.symbol}`, channel, id });
+  }
+
+  ws.channels.add(parsed.channel);
+  marketStream.subscribe(ws, parsed.channel);
+  return send(ws, 'subscribed', { channel: parsed.channel, id });
+}
+
+/**
+ * Unsubscribes a connection from a market-data channel and acknowledges it.
+ * @param {object} ws - The WebSocket connection.
+ * @param {object} message - The frame: { channel, id? }.
+ */
+function handleUnsubscribe(ws, { channel, id }) {
+  const parsed = marketStream.parseChannel(channel);
+  if (parsed.error) return send(ws, 'error', { message: parsed.error, channel, id });
+  if (!ws.channels.delete(parsed.channel)) {
+    return send(ws, 'error', { message: `Not subscribed to ${parsed.channel}`, channel, id });
+  }
+  marketStream.unsubscribe(ws, parsed.channel);
+  return send(ws, 'unsubscribed', { channel: parsed.channel, id });
+}
+
+/**
+ * Handles one frame from a client. Frames are JSON objects with a `type`:
+ * - { type: 'auth', token } authenticates the connection
+ * - { type: 'subscribe' | 'unsubscribe', channel, id? } manages market-data channels
+ *   (`ticker:<symbol>`, `kline:<symbol>:<interval>`, `trades:<symbol>`); `id` is echoed in the ack
+ * - { type: 'ping' } is answered with a pong
+ * @param {object} ws - The WebSocket connection.
+ * @param {Buffer|string} raw - The raw frame.
+ */
+async function handleMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    send(ws, 'error', { message: 'Frames must be JSON' });
+    return;
+  }
+
+  switch (message && message.type) {
+    case 'auth':
+      authenticate(ws, message.token);
+      break;
+    case 'subscribe':
+      await handleSubscribe(ws, message);
+      break;
+    case 'unsubscribe':
+      handleUnsubscribe(ws, message);
+      break;
+    case 'ping':
+      send(ws, 'pong', { time: Date.now() });
+      break;
+    default:
+      send(ws, 'error', { message: `Unknown message type: ${message && message.type}` });
+  }
+}
+
+/**
+ * Wires connection handling into the WebSocket server. Clients authenticate either with
+ * `?token=<JWT>` on the connection URL or by sending { type: 'auth', token } after connecting
+ * (browsers cannot set headers on WebSocket requests). Unauthenticated connections only get
+ * public market data.
+ * The server pings every connection each heartbeat interval; a connection that has not answered
+ * the previous ping by then is terminated.
+ * @param {object} wss - The WebSocketServer.
+ */
+function attach(wss) {
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  wss.on('connection', (ws, req) => {
+    console.log('Client connected to WebSocket');
+    ws.isAlive = true;
+    ws.channels = new Set();
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (raw) => {
+      handleMessage(ws, raw).catch((err) => send(ws, 'error', { message: err.message }));
+    });
+    ws.on('close', () => {
+      marketStream.unsubscribeAll(ws);
+      console.log('Client disconnected');
+    });
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token && !authenticate(ws, token)) ws.close(4001, 'Token is not valid');
+  });
+}
+
+module.exports = { attach, send };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet = null;
+
+/**
+ * Starts a single-node in-memory replica set (transactions need one) and connects mongoose to it.
+ * Call it after requiring the services under test, so their models get their indexes.
+ * @returns {Promise<boolean>} False if no mongod binary could be started (e.g. no download access);
+ *   the caller skips its database tests then.
+ */
+async function startDatabase() {
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (err) {
+    console.warn(`[test] In-memory MongoDB unavailable, skipping database tests: ${err.message}`);
+    return false;
+  }
+  await mongoose.connect(replSet.getUri());
+  // Collections and indexes are created up front; a transaction cannot build them
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+  return true;
+}
+
+/**
+ * Empties every collection between tests.
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+}
+
+/**
+ * Disconnects mongoose and stops the replica set.
+ * @returns {Promise<void>}
+ */
+async function stopDatabase() {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+  replSet = null;
+}
+
+/**
+ * Creates a user with a balance.
+ * @param {object} [fields] - Overrides, e.g. { balance, lockedBalance }.
+ * @returns {Promise<object>} The user document.
+ */
+async function createUser(fields = {}) {
+  const User = mongoose.model('User');
+  const name = `user${new mongoose.Types.ObjectId()}`;
+  return User.create({ username: name, email: `${name}@example.com`, password: 'x', balance: 100000, ...fields });
+}
+
+module.exports = { startDatabase, clearDatabase, stopDatabase, createUser };
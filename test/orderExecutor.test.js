@@ -0,0 +1,59 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const orderExecutor = require('../services/orderExecutor');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const TradingSymbol = require('../models/Symbol');
+const { startDatabase, clearDatabase, stopDatabase, createUser } = require('./helpers/db');
+
+// The default simulated depth: at most $50,000 of an order fills per price update
+const MAX_FILL_NOTIONAL_PER_TICK = 50000;
+
+describe('orderExecutor partial fills', () => {
+  let available = false;
+  before(async () => { available = await startDatabase(); });
+  afterEach(async () => { if (available) await clearDatabase(); });
+  after(stopDatabase);
+
+  // A BUY LIMIT resting at `price`, with funds reserved for it
+  async function restingBuy({ amount, price, stepSize }) {
+    await TradingSymbol.create({ symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', displayName: 'Bitcoin', stepSize });
+    const reserved = amount * price * 1.01;
+    const user = await createUser({ balance: reserved * 2, lockedBalance: reserved });
+    return ConditionalOrder.create({
+      user: user._id, symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', amount, limitPrice: price, reservedFunds: reserved,
+    });
+  }
+
+  const filledAmount = async (order) => (await ConditionalOrder.findById(order._id)).filledAmount;
+
+  it('fills a whole number of steps up to the per-tick depth, then the remainder', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const order = await restingBuy({ amount: 2, price: 30000, stepSize: 0.001 });
+    assert.ok(2 * 30000 > MAX_FILL_NOTIONAL_PER_TICK);
+
+    // 50,000 / 30,000 = 1.6666..., rounded down to the step
+    await orderExecutor.processPriceUpdate('BTCUSDT', 30000);
+    assert.equal(await filledAmount(order), 1.666);
+
+    await orderExecutor.processPriceUpdate('BTCUSDT', 30000);
+    const reloaded = await ConditionalOrder.findById(order._id);
+    assert.equal(reloaded.status, 'COMPLETED');
+    assert.ok(Math.abs(reloaded.filledAmount - 2) < 1e-9);
+  });
+
+  it('fills one step per tick when a step is worth more than the per-tick depth', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const order = await restingBuy({ amount: 4, price: 40000, stepSize: 2 });
+
+    await orderExecutor.processPriceUpdate('BTCUSDT', 40000);
+    assert.equal(await filledAmount(order), 2);
+  });
+
+  it('leaves an order alone while the price is worse than its limit', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const order = await restingBuy({ amount: 1, price: 30000, stepSize: 0.001 });
+
+    await orderExecutor.processPriceUpdate('BTCUSDT', 30001);
+    assert.equal(await filledAmount(order), 0);
+  });
+});
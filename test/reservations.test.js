@@ -0,0 +1,82 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const reservations = require('../services/reservations');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const User = require('../models/User');
+const { startDatabase, clearDatabase, stopDatabase, createUser } = require('./helpers/db');
+
+describe('reservations.takeFillShare', () => {
+  it('takes the share of the reservation the fill covers of the unfilled quantity', () => {
+    const holder = { amount: 4, filledAmount: 1, reservedFunds: 300, reservedQuantity: 0 };
+    assert.deepEqual(reservations.takeFillShare(holder, 1), { funds: 100, quantity: 0 });
+    assert.equal(holder.reservedFunds, 200);
+  });
+
+  it('takes the whole reservation for the last fill', () => {
+    const holder = { amount: 2, filledAmount: 0, reservedFunds: 0, reservedQuantity: 2 };
+    assert.deepEqual(reservations.takeFillShare(holder, 3), { funds: 0, quantity: 2 });
+    assert.equal(holder.reservedQuantity, 0);
+  });
+});
+
+describe('reservations.releaseOrder', () => {
+  let available = false;
+  before(async () => { available = await startDatabase(); });
+  afterEach(async () => { if (available) await clearDatabase(); });
+  after(stopDatabase);
+
+  const order = (user, fields) => ConditionalOrder.create({
+    user: user._id, symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', amount: 1, limitPrice: 100, ...fields,
+  });
+
+  async function release(holder) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const loaded = await ConditionalOrder.findById(holder._id).session(session);
+        await reservations.releaseOrder(loaded, session);
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  it('hands the reservation over to an open order drawing on it', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const user = await createUser({ lockedBalance: 500 });
+    const holder = await order(user, { status: 'CANCELED', reservedFunds: 500 });
+    const closed = await order(user, { status: 'CANCELED', reservationHolder: holder._id });
+    const heir = await order(user, { reservationHolder: holder._id });
+    const other = await order(user, { reservationHolder: holder._id });
+
+    await release(holder);
+
+    const [reloadedHolder, reloadedClosed, reloadedHeir, reloadedOther, reloadedUser] = await Promise.all([
+      ConditionalOrder.findById(holder._id),
+      ConditionalOrder.findById(closed._id),
+      ConditionalOrder.findById(heir._id),
+      ConditionalOrder.findById(other._id),
+      User.findById(user._id),
+    ]);
+    assert.equal(reloadedHolder.reservedFunds, 0);
+    // A closed order never inherits a reservation
+    assert.equal(reloadedClosed.reservedFunds, 0);
+    assert.equal(reloadedHeir.reservedFunds, 500);
+    assert.equal(reloadedHeir.reservationHolder, undefined);
+    assert.equal(String(reloadedOther.reservationHolder), String(heir._id));
+    assert.equal(reloadedUser.lockedBalance, 500);
+  });
+
+  it('unlocks the reservation when no open order draws on it', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const user = await createUser({ lockedBalance: 500 });
+    const holder = await order(user, { status: 'CANCELED', reservedFunds: 500 });
+    await order(user, { status: 'CANCELED', reservationHolder: holder._id });
+
+    await release(holder);
+
+    assert.equal((await User.findById(user._id)).lockedBalance, 0);
+    assert.equal((await ConditionalOrder.findById(holder._id)).reservedFunds, 0);
+  });
+});
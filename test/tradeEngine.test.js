@@ -0,0 +1,74 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const tradeEngine = require('../services/tradeEngine');
+const ConditionalOrder = require('../models/ConditionalOrder');
+const User = require('../models/User');
+const { startDatabase, clearDatabase, stopDatabase, createUser } = require('./helpers/db');
+
+describe('tradeEngine.executeFill of a conditional order', () => {
+  let available = false;
+  before(async () => { available = await startDatabase(); });
+  afterEach(async () => { if (available) await clearDatabase(); });
+  after(stopDatabase);
+
+  // A BUY LIMIT for 2 at 100 with its funds reserved
+  async function restingBuy() {
+    const user = await createUser({ balance: 1000, lockedBalance: 202 });
+    const order = await ConditionalOrder.create({
+      user: user._id, symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', amount: 2, limitPrice: 100, reservedFunds: 202,
+    });
+    return { user, order };
+  }
+
+  const fill = (user, order, fields) => tradeEngine.executeFill({
+    userId: user._id, symbol: 'BTCUSDT', side: 'BUY', price: 100, orderId: order._id, liquidity: 'MAKER', source: 'LIMIT', ...fields,
+  });
+
+  it('rejects a fill larger than the unfilled amount and changes nothing', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const { user, order } = await restingBuy();
+
+    await assert.rejects(fill(user, order, { amount: 3, orderVersion: order.__v }), { status: 409, message: /exceeds the unfilled amount/ });
+
+    const [reloadedUser, reloadedOrder] = await Promise.all([User.findById(user._id), ConditionalOrder.findById(order._id)]);
+    assert.equal(reloadedUser.balance, 1000);
+    assert.equal(reloadedUser.lockedBalance, 202);
+    assert.equal(reloadedOrder.filledAmount, 0);
+    assert.equal(reloadedOrder.status, 'ACTIVE');
+  });
+
+  it('rejects a fill worked out from an order version that has since changed', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const { user, order } = await restingBuy();
+    const evaluatedVersion = order.__v;
+    const amended = await ConditionalOrder.findById(order._id);
+    amended.limitPrice = 90;
+    await amended.save();
+
+    await assert.rejects(fill(user, order, { amount: 1, orderVersion: evaluatedVersion }), { status: 409, message: /changed since it was evaluated/ });
+    assert.equal((await ConditionalOrder.findById(order._id)).filledAmount, 0);
+  });
+
+  it('fills part of the order and releases the matching share of its reservation', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const { user, order } = await restingBuy();
+
+    const result = await fill(user, order, { amount: 1, orderVersion: order.__v });
+
+    const [reloadedUser, reloadedOrder] = await Promise.all([User.findById(user._id), ConditionalOrder.findById(order._id)]);
+    assert.equal(reloadedOrder.status, 'PARTIALLY_FILLED');
+    assert.equal(reloadedOrder.filledAmount, 1);
+    assert.equal(reloadedOrder.reservedFunds, 101);
+    assert.equal(reloadedUser.lockedBalance, 101);
+    assert.equal(reloadedUser.balance, 1000 - 100 - result.fee);
+  });
+
+  it('rejects a second fill of the same order version', async (t) => {
+    if (!available) return t.skip('no in-memory MongoDB');
+    const { user, order } = await restingBuy();
+
+    await fill(user, order, { amount: 1, orderVersion: order.__v });
+    await assert.rejects(fill(user, order, { amount: 1, orderVersion: order.__v }), { status: 409 });
+    assert.equal((await ConditionalOrder.findById(order._id)).filledAmount, 1);
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tradingRules = require('../utils/tradingRules');
+
+describe('tradingRules rounding', () => {
+  const rules = tradingRules.rulesOf({ stepSize: 0.001, tickSize: 0.01 });
+
+  it('rounds quantities down to the step size', () => {
+    assert.equal(tradingRules.roundQuantity(50000 / 30000, rules), 1.666);
+    assert.equal(tradingRules.roundQuantity(0.0009, rules), 0);
+  });
+
+  it('does not lose a step to floating point noise', () => {
+    assert.equal(tradingRules.roundQuantity(0.3, tradingRules.rulesOf({ stepSize: 0.1 })), 0.3);
+  });
+
+  it('rounds prices to the nearest tick', () => {
+    assert.equal(tradingRules.roundPrice(100.005, rules), 100.01);
+    assert.equal(tradingRules.roundPrice(100.004, rules), 100);
+  });
+
+  it('leaves values unchanged when a symbol has no rules', () => {
+    const none = tradingRules.rulesOf(null);
+    assert.equal(tradingRules.roundQuantity(1.23456789, none), 1.23456789);
+  });
+});
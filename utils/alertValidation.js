@@ -0,0 +1,50 @@
+/**
+ * Validation rules for price alerts, shared by creation and update.
+ */
+
+// Longest trailing window a PERCENT_CHANGE alert may use (the price history kept in memory)
+const MAX_ALERT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MIN_ALERT_WINDOW_MS = 60 * 1000;
+const MIN_ALERT_COOLDOWN_MS = 1000;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates a price alert's fields.
+ * @param {object} alert - Plain alert fields: symbol, condition, price, changePercent, windowMs, repeat, cooldownMs.
+ * @returns {string|null} An error message, or null if the alert is valid.
+ */
+function validateAlert(alert) {
+  const { symbol, condition, price, changePercent, windowMs, repeat, cooldownMs } = alert;
+
+  if (!symbol || typeof symbol !== 'string') return 'symbol is required.';
+  if (repeat !== undefined && typeof repeat !== 'boolean') return 'repeat must be a boolean.';
+  if (repeat && !(Number.isInteger(cooldownMs) && cooldownMs >= MIN_ALERT_COOLDOWN_MS)) {
+    return `Repeating alerts need a cooldownMs of at least ${MIN_ALERT_COOLDOWN_MS}.`;
+  }
+
+  switch (condition) {
+    case 'ABOVE':
+    case 'BELOW':
+      if (!isPositiveNumber(price)) return 'price must be a positive number.';
+      return null;
+
+    case 'PERCENT_CHANGE':
+      if (typeof changePercent !== 'number' || !Number.isFinite(changePercent) || changePercent === 0 || changePercent <= -100) {
+        return 'changePercent must be a non-zero number above -100.';
+      }
+      if (!Number.isInteger(windowMs) || windowMs < MIN_ALERT_WINDOW_MS || windowMs > MAX_ALERT_WINDOW_MS) {
+        return `windowMs must be between ${MIN_ALERT_WINDOW_MS} and ${MAX_ALERT_WINDOW_MS}.`;
+      }
+      return null;
+
+    case 'DAILY_HIGH_CROSS':
+    case 'DAILY_LOW_CROSS':
+      return null;
+
+    default:
+      return 'condition must be ABOVE, BELOW, PERCENT_CHANGE, DAILY_HIGH_CROSS or DAILY_LOW_CROSS.';
+  }
+}
+
+module.exports = { validateAlert, MAX_ALERT_WINDOW_MS };
@@ -0,0 +1,26 @@
+/**
+ * Candle interval helpers shared by the live kline stream and the candle store.
+ */
+
+const KLINE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Returns the open time of the candle a timestamp falls in. Buckets are aligned to the Unix
+ * epoch, i.e. UTC, like Binance klines.
+ * @param {number} time - The timestamp in milliseconds.
+ * @param {string} interval - One of KLINE_INTERVALS.
+ * @returns {number} The candle open time in milliseconds.
+ */
+function bucketStart(time, interval) {
+  const ms = KLINE_INTERVALS[interval];
+  return Math.floor(time / ms) * ms;
+}
+
+module.exports = { KLINE_INTERVALS, bucketStart };
@@ -0,0 +1,26 @@
+/**
+ * Minimal CSV encoding (RFC 4180): fields containing a comma, quote or line break are quoted,
+ * with embedded quotes doubled.
+ */
+
+/**
+ * Encodes one value as a CSV field.
+ * @param {*} value - The value; null and undefined become an empty field, dates ISO strings.
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Encodes a row of values as a CSV line, including the trailing CRLF.
+ * @param {Array<*>} values - The row values.
+ * @returns {string}
+ */
+function csvRow(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+module.exports = { csvField, csvRow };
@@ -0,0 +1,78 @@
+/**
+ * Validation rules for scheduled price manipulations, shared by scheduling and previews.
+ */
+
+const { MANIPULATION_CURVES } = require('./priceManipulation');
+
+const MAX_STEPS = 100;
+const MAX_WAYPOINTS = 50;
+// Longest window; chart history replays a manipulation tick by tick where no stored candles cover it
+const MAX_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates the curve fields of a manipulation.
+ * @param {object} fields - { curve, steps, waypoints }.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateCurve({ curve, steps, waypoints }) {
+  if (!MANIPULATION_CURVES.includes(curve)) return `curve must be one of ${MANIPULATION_CURVES.join(', ')}.`;
+  if (curve === 'STEP' && !(Number.isInteger(steps) && steps >= 1 && steps <= MAX_STEPS)) {
+    return `STEP curves need an integer steps between 1 and ${MAX_STEPS}.`;
+  }
+  if (curve !== 'WAYPOINTS') return null;
+
+  if (!Array.isArray(waypoints) || waypoints.length === 0 || waypoints.length > MAX_WAYPOINTS) {
+    return `WAYPOINTS curves need between 1 and ${MAX_WAYPOINTS} waypoints.`;
+  }
+  let previous = 0;
+  for (const point of waypoints) {
+    if (!point || typeof point.at !== 'number' || !(point.at > previous && point.at < 1)) {
+      return 'Each waypoint needs an `at` between 0 and 1 (exclusive), in ascending order.';
+    }
+    if (!isPositiveNumber(point.price)) return 'Each waypoint needs a positive price.';
+    previous = point.at;
+  }
+  return null;
+}
+
+/**
+ * Validates and normalizes a manipulation request.
+ * @param {object} body - { symbol, startTime, endTime, endValue, curve?, steps?, waypoints? }.
+ * @param {Date} [now] - The current time.
+ * @returns {{error: string}|{fields: object}} The error, or the fields to store.
+ */
+function validateManipulation(body, now = new Date()) {
+  const { symbol, startTime, endTime, curve = 'EASE_IN_OUT', steps, waypoints } = body;
+  if (!symbol || !startTime || !endTime || body.endValue === undefined) {
+    return { error: 'symbol, startTime, endTime and endValue are required' };
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return { error: 'Invalid date format' };
+  if (end <= start) return { error: 'endTime must be after startTime' };
+  if (end <= now) return { error: 'endTime must be in the future' };
+  if (end - start > MAX_DURATION_MS) return { error: `A manipulation may last at most ${MAX_DURATION_MS / (24 * 60 * 60 * 1000)} days` };
+
+  const endValue = parseFloat(body.endValue);
+  if (!isPositiveNumber(endValue)) return { error: 'endValue must be a positive number' };
+
+  const curveError = validateCurve({ curve, steps, waypoints });
+  if (curveError) return { error: curveError };
+
+  const fields = {
+    symbol: String(symbol).replace('/', '').toUpperCase(),
+    startTime: start,
+    endTime: end,
+    endValue,
+    durationMs: end.getTime() - start.getTime(),
+    curve,
+  };
+  if (curve === 'STEP') fields.steps = steps;
+  if (curve === 'WAYPOINTS') fields.waypoints = waypoints.map(({ at, price }) => ({ at, price }));
+  return { fields };
+}
+
+module.exports = { MAX_DURATION_MS, validateManipulation, validateCurve };
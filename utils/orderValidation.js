@@ -0,0 +1,116 @@
+/**
+ * Validation rules for conditional orders, shared by order placement and amendment
+ * so an amended order is held to exactly the same rules as a new one.
+ */
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Checks the price relationship of an OCO pair against the market.
+ * SELL: limit (take profit) above the market, stop below it, stop-limit at or below the stop.
+ * BUY: the mirror image.
+ * @param {string} side - 'BUY' or 'SELL'.
+ * @param {object} prices - { limitPrice, stopPrice, stopLimitPrice } of the pair.
+ * @param {number} marketPrice - The current market price.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateOcoPrices(side, { limitPrice, stopPrice, stopLimitPrice }, marketPrice) {
+  if (!isPositiveNumber(limitPrice) || !isPositiveNumber(stopPrice)) return 'limitPrice and stopPrice must be positive numbers.';
+  if (isSet(stopLimitPrice) && !isPositiveNumber(stopLimitPrice)) return 'stopLimitPrice must be a positive number.';
+
+  if (side === 'SELL' && !(limitPrice > marketPrice && marketPrice > stopPrice && (!isSet(stopLimitPrice) || stopLimitPrice <= stopPrice))) {
+    return 'For SELL OCO orders, limitPrice must be above the market price, stopPrice below it, and stopLimitPrice at or below stopPrice.';
+  }
+  if (side === 'BUY' && !(limitPrice < marketPrice && marketPrice < stopPrice && (!isSet(stopLimitPrice) || stopLimitPrice >= stopPrice))) {
+    return 'For BUY OCO orders, limitPrice must be below the market price, stopPrice above it, and stopLimitPrice at or above stopPrice.';
+  }
+  return null;
+}
+
+/**
+ * Validates a conditional order's fields.
+ * @param {object} order - Plain order fields: type, side, amount, stopPrice, limitPrice, trailingDelta, ocoLeg.
+ * @param {object} [context] - Extra context some order types need.
+ * @param {number} [context.marketPrice] - The current market price (OCO orders).
+ * @param {object} [context.sibling] - The other leg (OCO orders).
+ * @returns {string|null} An error message, or null if the order is valid.
+ */
+function validateOrder(order, { marketPrice, sibling } = {}) {
+  const { type, side, amount, stopPrice, limitPrice, trailingDelta } = order;
+
+  if (!['BUY', 'SELL'].includes(side)) return 'side must be BUY or SELL.';
+  if (!isPositiveNumber(amount)) return 'Amount must be positive';
+
+  switch (type) {
+    case 'LIMIT':
+      if (!isPositiveNumber(limitPrice)) return 'limitPrice must be positive';
+      return null;
+
+    case 'STOP_LIMIT':
+      if (!isPositiveNumber(stopPrice)) return 'stopPrice must be positive';
+      // A stop without a limit price fills at market once triggered
+      if (!isSet(limitPrice)) return null;
+      if (!isPositiveNumber(limitPrice)) return 'limitPrice must be positive';
+      if (side === 'BUY' && stopPrice >= limitPrice) return 'For BUY orders, stopPrice must be less than limitPrice.';
+      if (side === 'SELL' && stopPrice <= limitPrice) return 'For SELL orders, stopPrice must be greater than limitPrice.';
+      return null;
+
+    case 'TRAILING_STOP':
+      if (!trailingDelta || !['PERCENTAGE', 'ABSOLUTE'].includes(trailingDelta.type)) {
+        return 'trailingDelta.type must be PERCENTAGE or ABSOLUTE.';
+      }
+      if (!isPositiveNumber(trailingDelta.value)) return 'Trailing delta value must be positive.';
+      if (trailingDelta.type === 'PERCENTAGE' && trailingDelta.value >= 100) return 'A percentage trailing delta must be below 100.';
+      return null;
+
+    case 'OCO': {
+      const [limitLeg, stopLeg] = order.ocoLeg === 'LIMIT' ? [order, sibling] : [sibling, order];
+      if (!limitLeg || !stopLeg) return 'Both OCO legs are required.';
+      return validateOcoPrices(side, {
+        limitPrice: limitLeg.limitPrice,
+        stopPrice: stopLeg.stopPrice,
+        stopLimitPrice: stopLeg.limitPrice,
+      }, marketPrice);
+    }
+
+    default:
+      return 'Unknown order type.';
+  }
+}
+
+/**
+ * Resolves time-in-force options into the fields stored on an order.
+ * DAY orders expire at the next UTC midnight, the same boundary the price updater uses
+ * to roll its daily OHLC (`lastDay`).
+ * @param {object} params - The request fields.
+ * @param {string} [params.timeInForce] - 'GTC' (default), 'GTD' or 'DAY'.
+ * @param {string|Date} [params.expireAt] - Required for GTD.
+ * @param {Date} [now] - The current time.
+ * @returns {{error: string}|{timeInForce: string, expireAt: (Date|undefined)}}
+ */
+function resolveTimeInForce({ timeInForce = 'GTC', expireAt } = {}, now = new Date()) {
+  switch (timeInForce) {
+    case 'GTC':
+      if (isSet(expireAt)) return { error: 'expireAt is only allowed with timeInForce GTD.' };
+      return { timeInForce, expireAt: undefined };
+
+    case 'GTD': {
+      const date = new Date(expireAt);
+      if (!isSet(expireAt) || isNaN(date.getTime())) return { error: 'GTD orders need a valid expireAt date.' };
+      if (date <= now) return { error: 'expireAt must be in the future.' };
+      return { timeInForce, expireAt: date };
+    }
+
+    case 'DAY': {
+      if (isSet(expireAt)) return { error: 'expireAt is only allowed with timeInForce GTD.' };
+      const endOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+      return { timeInForce, expireAt: endOfDay };
+    }
+
+    default:
+      return { error: 'timeInForce must be GTC, GTD or DAY.' };
+  }
+}
+
+module.exports = { validateOrder, validateOcoPrices, resolveTimeInForce };
@@ -1,19 +1,196 @@
 /**
- * Calculates a manipulated price based on an easing curve and simulated volatility.
- * This function is shared between the real-time price updater and the historical chart generator
- * to ensure consistency between live prices and chart data.
+ * Price curves for manipulations. Shared by the real-time price updater and the historical
+ * chart generator to ensure consistency between live prices and chart data.
+ */
+
+const MANIPULATION_CURVES = ['LINEAR', 'EXPONENTIAL', 'STEP', 'EASE_IN_OUT', 'WAYPOINTS'];
+const DEFAULT_STEPS = 5;
+
+// Volatility added on top of the curve, as a fraction of the price
+const VOLATILITY = 0.002;
+// The seeded random part of the noise changes once per this many milliseconds
+const NOISE_STEP_MS = 1000;
+
+/**
+ * Natural ease-in-out quadratic curve for smooth price movement.
+ * @param {number} progress - Progress through the window, 0..1.
+ * @returns {number} Eased progress, 0..1.
+ */
+function easeInOut(progress) {
+  return progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+}
+
+/**
+ * Interpolates linearly through waypoints, starting at the start price and ending at the end value.
+ * @param {number} progress - Progress through the window, 0..1.
+ * @param {number} startPrice - The price at progress 0.
+ * @param {number} endValue - The price at progress 1.
+ * @param {Array<{at: number, price: number}>} waypoints - Intermediate points, `at` ascending in (0, 1).
+ * @returns {number}
+ */
+function throughWaypoints(progress, startPrice, endValue, waypoints = []) {
+  const points = [{ at: 0, price: startPrice }, ...waypoints, { at: 1, price: endValue }];
+  let i = 1;
+  while (i < points.length - 1 && points[i].at < progress) i += 1;
+  const from = points[i - 1];
+  const to = points[i];
+  const span = to.at - from.at;
+  const local = span > 0 ? (progress - from.at) / span : 1;
+  return from.price + (to.price - from.price) * local;
+}
+
+/**
+ * Calculates a manipulated price along the configured curve.
  * @param {object} config - The manipulation configuration.
+ * @param {number} config.startPrice - The price the window starts at.
+ * @param {number} config.endValue - The price the window ends at.
+ * @param {number} config.durationMs - The window length.
+ * @param {string} [config.curve] - One of MANIPULATION_CURVES (default EASE_IN_OUT).
+ * @param {number} [config.steps] - Number of equal jumps for STEP.
+ * @param {Array} [config.waypoints] - Intermediate { at, price } points for WAYPOINTS.
  * @param {number} elapsed - Milliseconds since manipulation started.
  * @returns {number} The calculated manipulated price.
  */
 function calculateManipulatedPrice(config, elapsed) {
-  const { startPrice, endValue, durationMs } = config;
-  const progress = Math.min(elapsed / durationMs, 1);
+  const { startPrice, endValue, durationMs, curve = 'EASE_IN_OUT', steps = DEFAULT_STEPS, waypoints } = config;
+  const progress = Math.max(0, Math.min(elapsed / durationMs, 1));
 
-  // Natural ease-in-out quadratic curve for smooth price movement
-  const easeProgress = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+  switch (curve) {
+    case 'LINEAR':
+      return startPrice + (endValue - startPrice) * progress;
+    case 'EXPONENTIAL':
+      // Constant percentage change per unit of time; needs both prices positive
+      if (startPrice > 0 && endValue > 0) return startPrice * Math.pow(endValue / startPrice, progress);
+      return startPrice + (endValue - startPrice) * progress;
+    case 'STEP':
+      return startPrice + (endValue - startPrice) * (Math.floor(progress * steps) / steps);
+    case 'WAYPOINTS':
+      return throughWaypoints(progress, startPrice, endValue, waypoints);
+    default:
+      return startPrice + (endValue - startPrice) * easeInOut(progress);
+  }
+}
+
+/**
+ * A deterministic pseudo-random number for a seed and a counter (mulberry32).
+ * @param {number} seed - The manipulation's noise seed.
+ * @param {number} n - The counter.
+ * @returns {number} A number in [0, 1).
+ */
+function seededRandom(seed, n) {
+  let t = ((seed | 0) + Math.imul(n | 0, 0x9e3779b9) + 0x6d2b79f5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
 
-  return startPrice + (endValue - startPrice) * easeProgress;
+/**
+ * Realistic market volatility on top of a manipulated price: two sine waves plus random noise.
+ * The noise is seeded per manipulation, so the same time always gives the same price.
+ * @param {number} price - The price on the curve.
+ * @param {number} elapsed - Milliseconds since the manipulation started.
+ * @param {number} [seed] - The manipulation's noise seed.
+ * @returns {number} The amount to add to the price.
+ */
+function manipulationNoise(price, elapsed, seed = 0) {
+  const wave1 = Math.sin(elapsed / 1000) * price * VOLATILITY;
+  const wave2 = Math.sin(elapsed / 500 + 1.5) * price * VOLATILITY * 0.5;
+  const randomNoise = (seededRandom(seed, Math.floor(elapsed / NOISE_STEP_MS)) - 0.5) * price * VOLATILITY * 0.2;
+  return wave1 + wave2 + randomNoise;
+}
+
+/**
+ * The price a running manipulation publishes: its curve plus the seeded volatility.
+ * @param {object} manip - The manipulation record or MarketPrice.manipulation state.
+ * @param {number} elapsed - Milliseconds since the manipulation started.
+ * @returns {number}
+ */
+function windowPrice(manip, elapsed) {
+  const price = calculateManipulatedPrice(curveConfig(manip), elapsed);
+  return price + manipulationNoise(price, elapsed, manip.noiseSeed);
+}
+
+/**
+ * The cool-down of a manipulation: when it eases from which price back to which market price.
+ * Records from before cool-downs were stored are assumed to have run their full window and
+ * cooled down for half its duration. `to` is null until the price updater has fixed it.
+ * @param {object} manip - The manipulation record or MarketPrice.manipulation state.
+ * @returns {{startTime: number, endTime: number, from: number, to: (number|null)}|null} Times in
+ *   milliseconds, or null if the manipulation has not cooled down.
+ */
+function coolDownOf(manip) {
+  if (manip.coolDownStartTime && manip.coolDownEndTime) {
+    return {
+      startTime: new Date(manip.coolDownStartTime).getTime(),
+      endTime: new Date(manip.coolDownEndTime).getTime(),
+      from: typeof manip.coolDownFrom === 'number' ? manip.coolDownFrom : manip.endValue,
+      to: typeof manip.coolDownTo === 'number' ? manip.coolDownTo : null,
+    };
+  }
+  if (manip.outcome && manip.outcome !== 'FULL_WINDOW') return null;
+  const endTime = new Date(manip.endTime).getTime();
+  return { startTime: endTime, endTime: endTime + manip.durationMs / 2, from: manip.endValue, to: null };
+}
+
+/**
+ * The price published during a cool-down, eased from the manipulated price to its stored target.
+ * @param {object} coolDown - From coolDownOf.
+ * @param {number} time - The time, in milliseconds.
+ * @param {number} [marketPrice] - Eased to instead when the cool-down has no stored target.
+ * @returns {number}
+ */
+function coolDownPrice(coolDown, time, marketPrice) {
+  const target = typeof coolDown.to === 'number' ? coolDown.to : marketPrice;
+  return calculateManipulatedPrice(
+    { startPrice: coolDown.from, endValue: target, durationMs: coolDown.endTime - coolDown.startTime },
+    time - coolDown.startTime
+  );
+}
+
+/**
+ * The price a manipulation record published at a given time, for replaying history.
+ * @param {object} manip - The manipulation record.
+ * @param {number} time - The time, in milliseconds.
+ * @param {number} [marketPrice] - The market price at that time, for cool-downs recorded without a target.
+ * @returns {number|null} The price, or null if the manipulation did not set the price then.
+ */
+function manipulatedPriceAt(manip, time, marketPrice) {
+  if (typeof manip.originalPrice !== 'number') return null;
+  const startTime = new Date(manip.startTime).getTime();
+  const activatedAt = manip.activatedAt ? new Date(manip.activatedAt).getTime() : startTime;
+  const endTime = new Date(manip.endTime).getTime();
+  const stoppedAt = manip.actualEndTime ? Math.min(new Date(manip.actualEndTime).getTime(), endTime) : endTime;
+
+  if (time >= activatedAt && time < stoppedAt) return windowPrice(manip, time - startTime);
+  const coolDown = coolDownOf(manip);
+  if (coolDown && time >= coolDown.startTime && time < coolDown.endTime) return coolDownPrice(coolDown, time, marketPrice);
+  return null;
+}
+
+/**
+ * The curve configuration of a manipulation record (or MarketPrice.manipulation), for
+ * calculateManipulatedPrice.
+ * @param {object} manip - The manipulation.
+ * @returns {object}
+ */
+function curveConfig(manip) {
+  return {
+    startPrice: manip.originalPrice,
+    endValue: manip.endValue,
+    durationMs: manip.durationMs,
+    curve: manip.curve,
+    steps: manip.steps,
+    waypoints: manip.waypoints,
+  };
 }
 
-module.exports = { calculateManipulatedPrice };
\ No newline at end of file
+module.exports = {
+  MANIPULATION_CURVES,
+  calculateManipulatedPrice,
+  curveConfig,
+  manipulationNoise,
+  windowPrice,
+  coolDownOf,
+  coolDownPrice,
+  manipulatedPriceAt,
+};
@@ -0,0 +1,15 @@
+/**
+ * Error raised when a trade or order is rejected for a business reason (funds, holdings, order state).
+ * Carries the HTTP status routes should respond with, and optional details that are returned
+ * next to the message (e.g. the trading rule an order violated).
+ */
+class TradeError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'TradeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { TradeError };
@@ -0,0 +1,193 @@
+/**
+ * Per-symbol trading rules: quantities are rounded down to the step size and prices to the
+ * nearest tick, then checked against the quantity limits and minimum notional.
+ */
+
+const { TradeError } = require('./tradeError');
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Rules a symbol listed before they existed falls back to: any precision, no limits
+const PERMISSIVE_RULES = { stepSize: 0, tickSize: 0, minQuantity: 0, maxQuantity: 0, minNotional: 0 };
+
+/**
+ * The trading rules of a symbol document, with unset rules disabled.
+ * @param {object} listing - The Symbol document (lean or hydrated).
+ * @returns {{stepSize: number, tickSize: number, minQuantity: number, maxQuantity: number, minNotional: number}}
+ */
+function rulesOf(listing) {
+  const rules = { ...PERMISSIVE_RULES };
+  for (const key of Object.keys(PERMISSIVE_RULES)) {
+    if (listing && isNumber(listing[key]) && listing[key] > 0) rules[key] = listing[key];
+  }
+  return rules;
+}
+
+/**
+ * Number of decimals of an increment such as 0.001 or 1e-8.
+ * @param {number} increment - The step or tick size.
+ * @returns {number}
+ */
+function decimalsOf(increment) {
+  const [mantissa, exponent] = increment.toExponential().split('e');
+  const fraction = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, fraction - parseInt(exponent, 10));
+}
+
+/**
+ * Rounds a value to a multiple of an increment. Values that are not numbers are returned as they are.
+ * @param {*} value - The value.
+ * @param {number} increment - The increment; 0 leaves the value unchanged.
+ * @param {Function} mode - Math.floor or Math.round.
+ * @returns {*}
+ */
+function roundTo(value, increment, mode) {
+  if (!isNumber(value) || !increment) return value;
+  // Trimming float noise first keeps 0.3 / 0.1 = 2.9999999999999996 from flooring to 2
+  const units = mode(Number((value / increment).toFixed(6)));
+  return Number((units * increment).toFixed(decimalsOf(increment)));
+}
+
+/**
+ * Rounds a quantity down to the symbol's step size.
+ * @param {number} quantity - The quantity.
+ * @param {object} rules - From rulesOf.
+ * @returns {number}
+ */
+function roundQuantity(quantity, rules) {
+  return roundTo(quantity, rules.stepSize, Math.floor);
+}
+
+/**
+ * Rounds a price to the symbol's nearest tick.
+ * @param {number} price - The price.
+ * @param {object} rules - From rulesOf.
+ * @returns {number}
+ */
+function roundPrice(price, rules) {
+  return roundTo(price, rules.tickSize, Math.round);
+}
+
+/**
+ * Builds the error for a violated rule. Routes return its details next to the message.
+ * @param {string} rule - STEP_SIZE, TICK_SIZE, MIN_QUANTITY, MAX_QUANTITY or MIN_NOTIONAL.
+ * @param {string} field - The offending order field.
+ * @param {number} value - The offending value.
+ * @param {number} limit - The rule's limit.
+ * @param {string} message - A human-readable explanation.
+ * @returns {TradeError}
+ */
+function ruleViolation(rule, field, value, limit, message) {
+  return new TradeError(message, 400, { rule, field, value, limit });
+}
+
+/**
+ * Checks that a quantity is on the step size, within the quantity limits and, at `price`,
+ * above the minimum notional.
+ * @param {object} rules - From rulesOf.
+ * @param {number} quantity - The (rounded) quantity.
+ * @param {number} [price] - The price the notional is measured at; skipped if not given.
+ * @param {string} [field] - The field name reported in errors.
+ * @throws {TradeError} The first violated rule.
+ */
+function assertQuantity(rules, quantity, price, field = 'amount') {
+  if (rules.stepSize && roundTo(quantity, rules.stepSize, Math.round) !== quantity) {
+    throw ruleViolation('STEP_SIZE', field, quantity, rules.stepSize, `${field} must be a multiple of ${rules.stepSize}.`);
+  }
+  if (!(quantity > 0) || quantity < rules.minQuantity) {
+    throw ruleViolation('MIN_QUANTITY', field, quantity, rules.minQuantity || rules.stepSize,
+      `${field} must be at least ${rules.minQuantity || rules.stepSize} after rounding to the step size.`);
+  }
+  if (rules.maxQuantity && quantity > rules.maxQuantity) {
+    throw ruleViolation('MAX_QUANTITY', field, quantity, rules.maxQuantity, `${field} must be at most ${rules.maxQuantity}.`);
+  }
+  if (rules.minNotional && isNumber(price) && quantity * price < rules.minNotional) {
+    throw ruleViolation('MIN_NOTIONAL', field, quantity, rules.minNotional,
+      `Order value ${+(quantity * price).toFixed(8)} is below the minimum notional of ${rules.minNotional}.`);
+  }
+}
+
+/**
+ * Checks that a price is on the tick size and positive.
+ * @param {object} rules - From rulesOf.
+ * @param {number} price - The (rounded) price.
+ * @param {string} field - The field name reported in errors.
+ * @throws {TradeError}
+ */
+function assertPrice(rules, price, field) {
+  if (!(price > 0) || (rules.tickSize && roundPrice(price, rules) !== price)) {
+    throw ruleViolation('TICK_SIZE', field, price, rules.tickSize, `${field} must be a positive multiple of ${rules.tickSize}.`);
+  }
+}
+
+const PRICE_FIELDS = ['limitPrice', 'stopPrice'];
+
+/**
+ * Rounds an order's quantity and prices to the symbol's rules. Fields that are not numbers are
+ * left for the order validation to reject.
+ * @param {object} rules - From rulesOf.
+ * @param {object} fields - Any of amount, limitPrice, stopPrice and trailingDelta.
+ * @returns {object} A copy of the fields, rounded.
+ */
+function roundOrder(rules, fields) {
+  const rounded = { ...fields };
+  if (rounded.amount !== undefined) rounded.amount = roundQuantity(rounded.amount, rules);
+  for (const field of PRICE_FIELDS) {
+    if (rounded[field] !== undefined && rounded[field] !== null) rounded[field] = roundPrice(rounded[field], rules);
+  }
+  // An absolute trailing distance is a price difference and moves in ticks too
+  if (rounded.trailingDelta && rounded.trailingDelta.type === 'ABSOLUTE') {
+    rounded.trailingDelta = { ...rounded.trailingDelta, value: roundPrice(rounded.trailingDelta.value, rules) };
+  }
+  return rounded;
+}
+
+/**
+ * Checks every rule against an order's (rounded) fields.
+ * @param {object} rules - From rulesOf.
+ * @param {object} fields - amount plus any of limitPrice, stopPrice and trailingDelta.
+ * @param {number} [notionalPrice] - The price the minimum notional is measured at; the limit price
+ *   (or stop price) when not given.
+ * @throws {TradeError} The first violated rule.
+ */
+function assertOrder(rules, fields, notionalPrice) {
+  for (const field of PRICE_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null) assertPrice(rules, fields[field], field);
+  }
+  if (fields.trailingDelta && fields.trailingDelta.type === 'ABSOLUTE') {
+    assertPrice(rules, fields.trailingDelta.value, 'trailingDelta.value');
+  }
+  const price = isNumber(notionalPrice) ? notionalPrice : (fields.limitPrice || fields.stopPrice);
+  assertQuantity(rules, fields.amount, price);
+}
+
+/**
+ * Validates trading rule values set by an admin.
+ * @param {object} fields - Any of stepSize, tickSize, minQuantity, maxQuantity and minNotional.
+ * @param {object} [current] - The symbol's current rules, to check min against max.
+ * @returns {string|null} An error message, or null if valid.
+ */
+function validateRules(fields, current = {}) {
+  for (const key of Object.keys(PERMISSIVE_RULES)) {
+    if (fields[key] !== undefined && !(isNumber(fields[key]) && fields[key] >= 0)) {
+      return `${key} must be a number of at least 0.`;
+    }
+  }
+  const merged = { ...current, ...fields };
+  if (merged.maxQuantity > 0 && merged.minQuantity > merged.maxQuantity) {
+    return 'minQuantity must not exceed maxQuantity.';
+  }
+  return null;
+}
+
+module.exports = {
+  PERMISSIVE_RULES,
+  rulesOf,
+  roundQuantity,
+  roundPrice,
+  roundOrder,
+  assertQuantity,
+  assertPrice,
+  assertOrder,
+  validateRules,
+};